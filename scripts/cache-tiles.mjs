@@ -0,0 +1,252 @@
+// cache-tiles.mjs -- Mirror 3D Tiles areas to disk for offline play (?tiles=local)
+//
+//   npm run cache-tiles -- chiyoda minato
+//   npm run cache-tiles -- --pack public/packs/sample-pack.json
+//   npm run cache-tiles -- shibuya --bounds 139.695,35.655,139.705,35.665
+//
+// Each area's tileset.json is walked from the root; only tiles whose bounding
+// volume overlaps the bounds (default: the area's own) are downloaded, along
+// with every tileset.json on the way. Files land under TILES_DIR (default:
+// tiles-cache/) as <host>/<path>, the layout map.js expects, and files already
+// there are skipped, so an interrupted run can simply be repeated.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { TILESET_AREAS, resolveArea, getMirrorPath } from '../src/tilesetRegistry.js';
+
+const CONCURRENCY = 6;
+const WGS84_A = 6378137;
+const WGS84_E2 = 0.00669437999014;
+const METERS_PER_DEGREE = 111320;
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+function parseArgs(argv) {
+    const options = { areas: [], pack: null, bounds: null, out: process.env.TILES_DIR || 'tiles-cache' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--pack') options.pack = argv[++i];
+        else if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--bounds') {
+            const [west, south, east, north] = argv[++i].split(',').map(Number);
+            options.bounds = { west, south, east, north };
+        } else options.areas.push(arg);
+    }
+    return options;
+}
+
+async function getAreas(options) {
+    let entries = options.areas;
+    if (options.pack) {
+        const pack = JSON.parse(await fs.readFile(options.pack, 'utf8'));
+        entries = [...entries, ...(pack.tilesets || Object.keys(TILESET_AREAS))];
+    }
+    return entries.map(entry => {
+        const area = resolveArea(entry);
+        if (!area) throw new Error(`unknown area "${entry}" (known: ${Object.keys(TILESET_AREAS).join(', ')})`);
+        return area;
+    });
+}
+
+// ----- Bounding volumes -----
+
+// 4x4 column-major, as in 3D Tiles `transform`
+function multiply(a, b) {
+    const result = new Array(16).fill(0);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            for (let k = 0; k < 4; k++) result[col * 4 + row] += a[k * 4 + row] * b[col * 4 + k];
+        }
+    }
+    return result;
+}
+
+function transformPoint(m, [x, y, z]) {
+    return [
+        m[0] * x + m[4] * y + m[8] * z + m[12],
+        m[1] * x + m[5] * y + m[9] * z + m[13],
+        m[2] * x + m[6] * y + m[10] * z + m[14],
+    ];
+}
+
+// Earth-centred coordinates to { longitude, latitude } (degrees)
+function toGeodetic([x, y, z]) {
+    const p = Math.hypot(x, y);
+    let latitude = Math.atan2(z, p * (1 - WGS84_E2));
+    for (let i = 0; i < 5; i++) {
+        const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * Math.sin(latitude) ** 2);
+        latitude = Math.atan2(z + WGS84_E2 * n * Math.sin(latitude), p);
+    }
+    return { longitude: Math.atan2(y, x) * 180 / Math.PI, latitude: latitude * 180 / Math.PI };
+}
+
+/**
+ * Rough { west, south, east, north } of a bounding volume, or null when it
+ * cannot be placed on the globe (then the tile is kept)
+ */
+function getVolumeBounds(volume, transform) {
+    if (volume.region) {
+        const [west, south, east, north] = volume.region.map(r => r * 180 / Math.PI);
+        return { west, south, east, north };
+    }
+    let center;
+    let radius;
+    if (volume.sphere) {
+        center = volume.sphere.slice(0, 3);
+        radius = volume.sphere[3];
+    } else if (volume.box) {
+        center = volume.box.slice(0, 3);
+        const axes = [volume.box.slice(3, 6), volume.box.slice(6, 9), volume.box.slice(9, 12)];
+        radius = Math.hypot(...axes.map(axis => Math.hypot(...axis)));
+    } else {
+        return null;
+    }
+    const world = transformPoint(transform, center);
+    if (Math.hypot(...world) < WGS84_A / 2) return null;
+
+    const { longitude, latitude } = toGeodetic(world);
+    const dLat = radius / METERS_PER_DEGREE;
+    const dLon = radius / (METERS_PER_DEGREE * Math.max(0.01, Math.cos(latitude * Math.PI / 180)));
+    return { west: longitude - dLon, south: latitude - dLat, east: longitude + dLon, north: latitude + dLat };
+}
+
+function overlaps(a, b) {
+    return a.west <= b.east && a.east >= b.west && a.south <= b.north && a.north >= b.south;
+}
+
+// ----- Download -----
+
+class TileCache {
+    constructor(outDir, bounds) {
+        this.outDir = outDir;
+        this.bounds = bounds;
+        this.queue = [];
+        this.seen = new Set();
+        this.stats = { downloaded: 0, skipped: 0, failed: 0, bytes: 0 };
+    }
+
+    filePath(url) {
+        return path.join(this.outDir, getMirrorPath(url));
+    }
+
+    async exists(url) {
+        try {
+            await fs.access(this.filePath(url));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async save(url, data) {
+        const file = this.filePath(url);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, data);
+        this.stats.bytes += data.length;
+    }
+
+    async fetchBuffer(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    /**
+     * Download (or read back) a tileset.json and queue its tiles inside the bounds
+     */
+    async addTileset(url, transform = IDENTITY) {
+        if (this.seen.has(url)) return;
+        this.seen.add(url);
+
+        let data;
+        if (await this.exists(url)) {
+            data = await fs.readFile(this.filePath(url));
+        } else {
+            data = await this.fetchBuffer(url);
+            await this.save(url, data);
+        }
+        const tileset = JSON.parse(data.toString('utf8'));
+        if (tileset.root.implicitTiling) console.warn(`  ${url}: implicit tiling is not cached (only explicit tile trees)`);
+        await this.addTile(tileset.root, url, transform);
+    }
+
+    async addTile(tile, baseUrl, parentTransform) {
+        const transform = tile.transform ? multiply(parentTransform, tile.transform) : parentTransform;
+        const volumeBounds = getVolumeBounds(tile.boundingVolume, transform);
+        if (volumeBounds && !overlaps(volumeBounds, this.bounds)) return;
+
+        const contents = tile.contents || (tile.content ? [tile.content] : []);
+        for (const content of contents) {
+            const uri = content.uri || content.url;
+            if (!uri) continue;
+            const url = new URL(uri, baseUrl).href;
+            if (/\.json(\?|$)/.test(url)) await this.addTileset(url, transform);
+            else if (!this.seen.has(url)) {
+                this.seen.add(url);
+                this.queue.push(url);
+            }
+        }
+        for (const child of tile.children || []) await this.addTile(child, baseUrl, transform);
+    }
+
+    async downloadQueued() {
+        const total = this.queue.length;
+        let done = 0;
+        const worker = async () => {
+            while (this.queue.length > 0) {
+                const url = this.queue.shift();
+                try {
+                    if (await this.exists(url)) {
+                        this.stats.skipped++;
+                    } else {
+                        await this.save(url, await this.fetchBuffer(url));
+                        this.stats.downloaded++;
+                    }
+                } catch (error) {
+                    this.stats.failed++;
+                    console.warn(`  failed ${url}: ${error.message}`);
+                }
+                done++;
+                if (done % 50 === 0 || done === total) console.log(`  ${done}/${total} tiles`);
+            }
+        };
+        await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const areas = await getAreas(options);
+    if (areas.length === 0) {
+        console.log(`usage: npm run cache-tiles -- <area...> [--pack pack.json] [--bounds west,south,east,north] [--out dir]`);
+        console.log(`areas: ${Object.keys(TILESET_AREAS).join(', ')}`);
+        process.exit(1);
+    }
+
+    let failed = 0;
+    for (const area of areas) {
+        if (!/^https?:\/\//.test(area.url)) {
+            console.log(`${area.id}: ${area.url} is already local, skipped`);
+            continue;
+        }
+        const bounds = options.bounds || area.bounds;
+        console.log(`${area.id}: ${area.url}`);
+        const cache = new TileCache(path.resolve(options.out), bounds);
+        try {
+            await cache.addTileset(area.url);
+            await cache.downloadQueued();
+        } catch (error) {
+            console.warn(`  ${area.id}: ${error.message}`);
+            cache.stats.failed++;
+        }
+        const { downloaded, skipped, failed: areaFailed, bytes } = cache.stats;
+        console.log(`  ${downloaded} downloaded, ${skipped} already cached, ${areaFailed} failed (${(bytes / 1e6).toFixed(1)} MB)`);
+        failed += areaFailed;
+    }
+    console.log(`Tiles in ${path.resolve(options.out)} -- start the game with ?tiles=local (or VITE_TILES_SOURCE=local)`);
+    if (failed > 0) process.exit(1);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
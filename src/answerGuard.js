@@ -0,0 +1,72 @@
+// answerGuard.js -- Hardened AI judging of player answers
+//
+// Player input reaches the AI judge only as escaped data inside
+// <player_answer> delimiters, and the judge must reply with a JSON verdict
+// ({ "verdict": "correct" | "wrong", "message": "..." }) instead of a text tag.
+// Answers that look like attempts to steer the judge are detected so the
+// engine can refuse them and record them in its game log.
+
+import { validateSchema } from './schema.js';
+import { extractJson } from './puzzles.js';
+
+export const MAX_ANSWER_LENGTH = 200;
+
+export const VERDICT_SCHEMA = {
+    type: 'object',
+    required: ['verdict', 'message'],
+    properties: {
+        verdict: { type: 'string', enum: ['correct', 'wrong'] },
+        message: { type: 'string', minLength: 1 },
+    },
+};
+
+// id → pattern. Kept narrow: ordinary answers (names, years, heights) never match.
+const INJECTION_PATTERNS = {
+    'verdict-tag': /\[\s*(?:CORRECT|WRONG|HINT|PUZZLE)\s*\]/i,
+    'verdict-field': /["']?verdict["']?\s*[:=]/i,
+    'delimiter': /<\s*\/?\s*player_answer/i,
+    'instruction-override': /(?:ignore|disregard|forget|override)\b.{0,40}\b(?:instruction|prompt|rule|previous)|(?:指示|命令|ルール|プロンプト|設定).{0,10}(?:無視|忘れ|上書き)/i,
+    'verdict-request': /(?:正解|せいかい).{0,6}(?:と|って|に).{0,6}(?:返|答え|言|判定|出力|し[てろ])|(?:say|respond|reply|answer|output|return|mark|judge|treat)\b.{0,30}\b(?:correct|right|true)\b/i,
+    'role-switch': /system\s*prompt|システムプロンプト|you are now|developer mode|あなたは(?:今から|これから)/i,
+};
+
+/**
+ * Make a player answer safe to embed between <player_answer> delimiters:
+ * control characters removed, length capped, and the characters that could
+ * close the delimiter or forge a tag replaced with full-width lookalikes.
+ */
+export function escapePlayerAnswer(text) {
+    return String(text)
+        .replace(/[\u0000-\u001f\u007f]/g, ' ')
+        .slice(0, MAX_ANSWER_LENGTH)
+        .replace(/</g, '＜')
+        .replace(/>/g, '＞')
+        .replace(/\[/g, '［')
+        .replace(/\]/g, '］')
+        .replace(/\{/g, '｛')
+        .replace(/\}/g, '｝')
+        .trim();
+}
+
+/**
+ * Look for attempts to steer the judge from inside an answer
+ * @returns {string[]} ids of the matched patterns (empty when the answer looks clean)
+ */
+export function detectInjection(text) {
+    const input = String(text);
+    const reasons = Object.entries(INJECTION_PATTERNS)
+        .filter(([, pattern]) => pattern.test(input))
+        .map(([id]) => id);
+    if (input.length > MAX_ANSWER_LENGTH) reasons.push('oversized');
+    return reasons;
+}
+
+/**
+ * Parse the judge's structured verdict
+ * @returns {{ verdict: 'correct' | 'wrong', message: string } | null} null when the reply is malformed
+ */
+export function parseVerdict(text) {
+    const raw = extractJson(text);
+    if (!raw || validateSchema(raw, VERDICT_SCHEMA).length > 0) return null;
+    return { verdict: raw.verdict, message: raw.message.trim() };
+}
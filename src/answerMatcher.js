@@ -0,0 +1,355 @@
+// answerMatcher.js -- Deterministic local answer judging (runs before any AI judge)
+//
+// Text answers are reduced to a phonetic key so that width, kana script and
+// romaji spelling differences disappear:
+//   トウキョウタワー / とうきょうタワー / ﾄｳｷｮｳﾀﾜｰ / toukyou tawaa → "tokyotawa"
+// Kanji cannot be read without a dictionary, so kanji/kana/English variants
+// must be listed in the puzzle's acceptedAliases (the AI is asked for them).
+// Numeric answers are parsed with their unit and compared exactly, or within
+// the puzzle's tolerance.
+// Closed formats (choice, ordering, pin) are judged exactly and never need an
+// AI judge; input outside a format's domain is reported as 'invalid'.
+
+import { distanceMeters } from './geo.js';
+
+const KANA_TO_ROMAJI = {
+    'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+    'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+    'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+    'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+    'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+    'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+    'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+    'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+    'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+    'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+    'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+    'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+    'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+    'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+    'わ': 'wa', 'ゐ': 'i', 'ゑ': 'e', 'を': 'o', 'ん': 'n',
+    'ゔ': 'vu',
+    'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o', 'ゎ': 'wa',
+};
+
+// Two-kana combinations (consonant + small ya/yu/yo, loanword forms)
+const KANA_DIGRAPHS = {
+    'きゃ': 'kya', 'きゅ': 'kyu', 'きょ': 'kyo', 'ぎゃ': 'gya', 'ぎゅ': 'gyu', 'ぎょ': 'gyo',
+    'しゃ': 'sha', 'しゅ': 'shu', 'しょ': 'sho', 'じゃ': 'ja', 'じゅ': 'ju', 'じょ': 'jo',
+    'ちゃ': 'cha', 'ちゅ': 'chu', 'ちょ': 'cho', 'ぢゃ': 'ja', 'ぢゅ': 'ju', 'ぢょ': 'jo',
+    'にゃ': 'nya', 'にゅ': 'nyu', 'にょ': 'nyo', 'ひゃ': 'hya', 'ひゅ': 'hyu', 'ひょ': 'hyo',
+    'びゃ': 'bya', 'びゅ': 'byu', 'びょ': 'byo', 'ぴゃ': 'pya', 'ぴゅ': 'pyu', 'ぴょ': 'pyo',
+    'みゃ': 'mya', 'みゅ': 'myu', 'みょ': 'myo', 'りゃ': 'rya', 'りゅ': 'ryu', 'りょ': 'ryo',
+    'しぇ': 'she', 'じぇ': 'je', 'ちぇ': 'che', 'てぃ': 'ti', 'でぃ': 'di', 'とぅ': 'tu',
+    'ふぁ': 'fa', 'ふぃ': 'fi', 'ふぇ': 'fe', 'ふぉ': 'fo', 'うぃ': 'wi', 'うぇ': 'we', 'うぉ': 'wo',
+    'ゔぁ': 'va', 'ゔぃ': 'vi', 'ゔぇ': 've', 'ゔぉ': 'vo',
+};
+
+// Kunrei/Nihon-shiki spellings rewritten to Hepburn so both input styles agree
+const ROMAJI_CANONICAL = [
+    [/sy([auo])/g, 'sh$1'], [/zy([auo])/g, 'j$1'], [/jy([auo])/g, 'j$1'],
+    [/ty([auo])/g, 'ch$1'], [/si/g, 'shi'], [/zi/g, 'ji'], [/ti/g, 'chi'],
+    [/(^|[^s])tu/g, '$1tsu'], [/(^|[^sc])hu/g, '$1fu'], [/m([bp])/g, 'n$1'], [/n'/g, 'n'],
+];
+
+// Length units normalised to metres. Other known units only need to agree.
+const UNITS = {
+    'm': { dimension: 'length', scale: 1 },
+    'meter': { dimension: 'length', scale: 1 },
+    'meters': { dimension: 'length', scale: 1 },
+    'metre': { dimension: 'length', scale: 1 },
+    'metres': { dimension: 'length', scale: 1 },
+    'メートル': { dimension: 'length', scale: 1 },
+    'km': { dimension: 'length', scale: 1000 },
+    'kilometer': { dimension: 'length', scale: 1000 },
+    'kilometers': { dimension: 'length', scale: 1000 },
+    'kilometre': { dimension: 'length', scale: 1000 },
+    'kilometres': { dimension: 'length', scale: 1000 },
+    'キロ': { dimension: 'length', scale: 1000 },
+    'キロメートル': { dimension: 'length', scale: 1000 },
+    'cm': { dimension: 'length', scale: 0.01 },
+    'センチ': { dimension: 'length', scale: 0.01 },
+    'センチメートル': { dimension: 'length', scale: 0.01 },
+    '年': { dimension: 'year', scale: 1 },
+    '階': { dimension: 'floors', scale: 1 },
+    'f': { dimension: 'floors', scale: 1 },
+    'floor': { dimension: 'floors', scale: 1 },
+    'floors': { dimension: 'floors', scale: 1 },
+    '円': { dimension: 'yen', scale: 1 },
+    'yen': { dimension: 'yen', scale: 1 },
+    '億円': { dimension: 'yen', scale: 1e8 },
+};
+
+const PUNCTUATION = /[\s「」『』【】（）()［］[\]、。，．,.・:：;；!！?？'"“”‘’`~〜\-_/\\]/g;
+
+// Politeness padding players add around a bare answer
+const ANSWER_SUFFIXES = /(です|でした|である|だと思う|かな)$/;
+
+/**
+ * Width/script/case normalisation shared by text and number parsing
+ */
+export function normalizeText(text) {
+    return String(text)
+        .normalize('NFKC')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Latin diacritics (ō → o), keeps kana dakuten
+        .normalize('NFC')
+        .replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+        .trim();
+}
+
+function kanaToRomaji(text) {
+    let out = '';
+    for (let i = 0; i < text.length; i++) {
+        const pair = text.slice(i, i + 2);
+        const ch = text[i];
+
+        if (ch === 'っ') {
+            // Sokuon doubles the next consonant
+            const next = KANA_DIGRAPHS[text.slice(i + 1, i + 3)] || KANA_TO_ROMAJI[text[i + 1]] || '';
+            out += next.startsWith('ch') ? 't' : next.charAt(0);
+        } else if (ch === 'ー') {
+            // Long vowel mark repeats the previous vowel (collapsed later)
+            const vowel = out.match(/[aiueo]$/);
+            if (vowel) out += vowel[0];
+        } else if (KANA_DIGRAPHS[pair]) {
+            out += KANA_DIGRAPHS[pair];
+            i++;
+        } else if (KANA_TO_ROMAJI[ch]) {
+            out += KANA_TO_ROMAJI[ch];
+        } else {
+            out += ch;
+        }
+    }
+    return out;
+}
+
+/**
+ * Reduce text to a comparison key: script, width, romaji spelling and
+ * long vowels are all folded away. Kanji pass through unchanged.
+ */
+export function toPhoneticKey(text) {
+    let key = kanaToRomaji(normalizeText(text).replace(ANSWER_SUFFIXES, '').replace(PUNCTUATION, ''));
+    ROMAJI_CANONICAL.forEach(([pattern, replacement]) => {
+        key = key.replace(pattern, replacement);
+    });
+    return key
+        .replace(/ou/g, 'o')
+        .replace(/([aiueo])\1+/g, '$1');
+}
+
+// Words players put after a Japanese unit ("30階建て", "333メートルくらい")
+const UNIT_PADDING = /(建て|建|です|でした|である|くらい|ぐらい|ほど|程度|前後|頃|ごろ|ちょうど|だと思う|かな)$/;
+
+/**
+ * Unit named by the word after a number. Latin words must be a unit exactly
+ * ("mm" and "feet" are not "m" and "f"); a Japanese run may go on with
+ * padding, and counts as no unit when it does not start with one.
+ * @returns {{ unit: string|null, unknownUnit: string|null }}
+ */
+function parseUnit(word) {
+    if (!word) return { unit: null, unknownUnit: null };
+    if (/^[a-z]/.test(word)) {
+        return UNITS[word] ? { unit: word, unknownUnit: null } : { unit: null, unknownUnit: word };
+    }
+    let rest = word;
+    while (UNIT_PADDING.test(rest)) rest = rest.replace(UNIT_PADDING, '');
+    if (UNITS[rest]) return { unit: rest, unknownUnit: null };
+    // "キログラム" starts like a known unit but is another one
+    const lookalike = Object.keys(UNITS).some(u => rest.startsWith(u));
+    return { unit: null, unknownUnit: lookalike ? word : null };
+}
+
+/**
+ * Parse the first number in a string together with the unit that follows it
+ * @returns {{ value: number, unit: string|null, unknownUnit: string|null }|null}
+ *          unknownUnit: the word after the number when it is a unit the game does not know
+ */
+export function parseNumberWithUnit(text) {
+    const normalized = String(text).normalize('NFKC').replace(/,/g, '').toLowerCase();
+    const match = normalized.match(/(-?\d+(?:\.\d+)?)\s*([a-z]+|[\u3040-\u30ff\u4e00-\u9fff]+)?/);
+    if (!match) return null;
+
+    return { value: parseFloat(match[1]), ...parseUnit(match[2]) };
+}
+
+function levenshtein(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = prev[j];
+            prev[j] = Math.min(
+                prev[j] + 1,
+                prev[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = temp;
+        }
+    }
+    return prev[b.length];
+}
+
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function matchNumber(input, puzzle) {
+    const expected = parseNumberWithUnit(puzzle.answer);
+    const given = parseNumberWithUnit(input);
+    if (!expected) return { verdict: 'ambiguous', reason: 'expected answer is not numeric' };
+    if (!given) return { verdict: 'ambiguous', reason: 'no number in answer' };
+    // Only a known unit of another dimension is surely wrong; the AI judge reads the rest
+    if (given.unknownUnit) return { verdict: 'ambiguous', reason: `unknown unit (${given.unknownUnit})` };
+
+    const expectedUnit = UNITS[expected.unit || puzzle.unit] || null;
+    const givenUnit = UNITS[given.unit] || null;
+
+    let expectedValue = expected.value;
+    let givenValue = given.value;
+    let scale = 1;
+    if (expectedUnit && givenUnit) {
+        if (expectedUnit.dimension !== givenUnit.dimension) {
+            return { verdict: 'wrong', reason: `unit mismatch (${given.unit})` };
+        }
+        scale = expectedUnit.scale;
+        expectedValue *= expectedUnit.scale;
+        givenValue *= givenUnit.scale;
+    }
+
+    // Without a tolerance the number must be exact (years, floors and counts);
+    // the epsilon only absorbs rounding from unit conversion
+    const tolerance = puzzle.tolerance !== undefined
+        ? puzzle.tolerance * scale
+        : Math.max(1, Math.abs(expectedValue)) * 1e-9;
+
+    if (Math.abs(givenValue - expectedValue) <= tolerance) {
+        return { verdict: 'correct', matched: puzzle.answer, reason: 'number within tolerance' };
+    }
+    return { verdict: 'wrong', reason: `number outside tolerance (${givenValue} vs ${expectedValue})` };
+}
+
+function matchText(input, puzzle) {
+    const inputKey = toPhoneticKey(input);
+    if (!inputKey) return { verdict: 'wrong', reason: 'empty answer' };
+
+    const candidates = [puzzle.answer, ...(puzzle.acceptedAliases || [])];
+    let best = { score: 0, candidate: null, contains: false };
+
+    for (const candidate of candidates) {
+        const key = toPhoneticKey(candidate);
+        if (!key) continue;
+        if (key === inputKey) {
+            return { verdict: 'correct', matched: candidate, reason: 'normalized match' };
+        }
+        const score = similarity(inputKey, key);
+        const shorter = inputKey.length < key.length ? inputKey : key;
+        const contains = shorter.length >= 2 && (inputKey.includes(key) || key.includes(inputKey));
+        if (score > best.score || (contains && !best.contains)) {
+            best = { score, candidate, contains };
+        }
+    }
+
+    if (best.contains || best.score >= 0.6) {
+        return { verdict: 'ambiguous', matched: best.candidate, reason: `close to "${best.candidate}"` };
+    }
+    return { verdict: 'wrong', reason: 'no alias matched' };
+}
+
+// Default radius (metres) within which a dropped pin counts as correct
+export const DEFAULT_PIN_RADIUS = 150;
+
+// Separators players may type between items of an ordering answer
+const ORDERING_SEPARATOR = /\s*(?:,|、|，|→|->|>|＞|\n)\s*/;
+
+function matchChoice(input, puzzle) {
+    const choices = puzzle.choices || [];
+    const key = toPhoneticKey(input);
+    let chosen = choices.find(choice => toPhoneticKey(choice) === key);
+
+    // "2" / "B" select a choice by position
+    if (!chosen && /^\s*[1-9a-fA-F]\s*$/.test(input)) {
+        const index = /^\s*\d\s*$/.test(input)
+            ? parseInt(input, 10) - 1
+            : input.trim().toUpperCase().charCodeAt(0) - 65;
+        chosen = choices[index];
+    }
+    // Typed aliases of the answer ("たんげけんぞう") select the answer's choice
+    if (!chosen && matchText(input, puzzle).verdict === 'correct') chosen = puzzle.answer;
+    if (!chosen) return { verdict: 'invalid', reason: 'not one of the choices' };
+
+    return toPhoneticKey(chosen) === toPhoneticKey(puzzle.answer)
+        ? { verdict: 'correct', matched: chosen, reason: 'choice matched' }
+        : { verdict: 'wrong', matched: chosen, reason: `chose "${chosen}"` };
+}
+
+function matchOrdering(input, puzzle) {
+    const items = puzzle.items || [];
+    const given = Array.isArray(input) ? input : String(input).split(ORDERING_SEPARATOR);
+    const keys = given.map(item => toPhoneticKey(item)).filter(Boolean);
+    const expected = items.map(item => toPhoneticKey(item));
+
+    // Must be a permutation of the items, each used once
+    const unused = expected.slice();
+    const isPermutation = keys.length === expected.length && keys.every(key => {
+        const index = unused.indexOf(key);
+        if (index === -1) return false;
+        unused.splice(index, 1);
+        return true;
+    });
+    if (!isPermutation) return { verdict: 'invalid', reason: 'not a complete ordering of the items' };
+
+    const misplaced = keys.filter((key, i) => key !== expected[i]).length;
+    return misplaced === 0
+        ? { verdict: 'correct', matched: puzzle.answer, reason: 'order matched' }
+        : { verdict: 'wrong', reason: `${misplaced} items out of place` };
+}
+
+function matchPin(input, puzzle) {
+    if (!input || typeof input !== 'object' || !isFinite(input.longitude) || !isFinite(input.latitude)) {
+        return { verdict: 'invalid', reason: 'no pin dropped' };
+    }
+    if (!puzzle.target) return { verdict: 'ambiguous', reason: 'puzzle has no target' };
+
+    const distance = distanceMeters(input, puzzle.target);
+    const radius = puzzle.radius || DEFAULT_PIN_RADIUS;
+    return distance <= radius
+        ? { verdict: 'correct', matched: puzzle.answer, distance, reason: 'pin within radius' }
+        : { verdict: 'wrong', distance, reason: `pin ${Math.round(distance)}m from target` };
+}
+
+/**
+ * Judge an answer against a structured puzzle without any AI call
+ * @param {string|string[]|Object} input - Player's answer: text, an ordering (array),
+ *        or a pin ({ longitude, latitude })
+ * @param {Object} puzzle - Puzzle object (answer, acceptedAliases, format, unit?, tolerance?,
+ *        choices?, items?, target?, radius?)
+ * @returns {{ verdict: 'correct'|'wrong'|'ambiguous'|'invalid', matched?: string, distance?: number, reason: string }}
+ */
+export function matchAnswer(input, puzzle) {
+    if (!puzzle || !puzzle.answer) return { verdict: 'ambiguous', reason: 'no puzzle' };
+
+    switch (puzzle.format) {
+        case 'pin':
+            return matchPin(input, puzzle);
+        case 'building':
+            // Answered by clicking (spatialPuzzles.matchBuilding), never by text
+            return { verdict: 'invalid', reason: 'building puzzles need a selection' };
+        case 'ordering':
+            if (Array.isArray(input)) return matchOrdering(input, puzzle);
+            break;
+        default:
+            break;
+    }
+
+    if (typeof input === 'object' && input !== null) return { verdict: 'invalid', reason: 'unexpected answer type' };
+    if (!String(input || '').trim()) return { verdict: 'wrong', reason: 'empty answer' };
+
+    if (puzzle.format === 'number') return matchNumber(input, puzzle);
+    if (puzzle.format === 'choice') return matchChoice(input, puzzle);
+    if (puzzle.format === 'ordering') return matchOrdering(input, puzzle);
+    return matchText(input, puzzle);
+}
@@ -1,6 +1,8 @@
-// buildings.js -- PLATEAU building data interaction for CesiumJS
+// buildings.js -- PLATEAU (and other 3D Tiles) building data interaction for CesiumJS
 
 import * as Cesium from 'cesium';
+import { distanceMeters } from './geo.js';
+import { getTilesetDialect } from './map.js';
 
 let selectedEntity = null;
 let highlightedTilesets = [];
@@ -20,7 +22,7 @@ export function setupBuildingInteraction(viewer, callback) {
         const pickedFeature = viewer.scene.pick(movement.position);
 
         if (Cesium.defined(pickedFeature) && pickedFeature instanceof Cesium.Cesium3DTileFeature) {
-            const info = extractBuildingInfo(pickedFeature);
+            const info = extractBuildingInfo(pickedFeature, pickSurfacePosition(viewer, movement.position));
 
             // Highlight the clicked building
             highlightFeature(pickedFeature);
@@ -35,10 +37,64 @@ export function setupBuildingInteraction(viewer, callback) {
 }
 
 /**
- * Extract building attributes from a PLATEAU 3D Tile feature
- * PLATEAU attributes can be in Japanese or English depending on the dataset
+ * First non-empty property among a dialect's names for a field
  */
-function extractBuildingInfo(feature) {
+function readAttribute(props, names) {
+    const name = names.find(n => props[n]);
+    return name ? props[name] : null;
+}
+
+/**
+ * Stable identity of a feature: its dataset id (e.g. CityGML gml:id), or null.
+ * Batch ids are not used: they change when a tile refines or is streamed out
+ * and back in, so such features cannot answer building puzzles.
+ */
+function getFeatureId(props, dialect) {
+    const gmlId = readAttribute(props, dialect.id);
+    return gmlId ? String(gmlId) : null;
+}
+
+/**
+ * Where the click landed, as { longitude, latitude } (null without depth picking)
+ */
+function pickSurfacePosition(viewer, screenPosition) {
+    if (!viewer.scene.pickPositionSupported) return null;
+    const cartesian = viewer.scene.pickPosition(screenPosition);
+    if (!Cesium.defined(cartesian)) return null;
+    const carto = Cesium.Cartographic.fromCartesian(cartesian);
+    return { longitude: Cesium.Math.toDegrees(carto.longitude), latitude: Cesium.Math.toDegrees(carto.latitude) };
+}
+
+/**
+ * Location of a feature: lat/lon attributes when present, then the clicked
+ * point, then the tile's centre when the tile holds this feature alone.
+ * Otherwise null: a tile's centre is shared by all its buildings, so it would
+ * put them all in one place.
+ */
+function getFeaturePosition(feature, props, dialect, pickedPosition) {
+    const lat = readAttribute(props, dialect.latitude);
+    const lon = readAttribute(props, dialect.longitude);
+    if (lat && lon) return { longitude: parseFloat(lon), latitude: parseFloat(lat) };
+    if (pickedPosition) return pickedPosition;
+
+    try {
+        if (feature.content.featuresLength !== 1) return null;
+        const carto = Cesium.Cartographic.fromCartesian(feature.content.tile.boundingSphere.center);
+        return {
+            longitude: Cesium.Math.toDegrees(carto.longitude),
+            latitude: Cesium.Math.toDegrees(carto.latitude),
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Extract building attributes from a 3D Tile feature
+ * Attribute names follow the tileset's dialect (PLATEAU in Japanese or English, OSM, ...)
+ * @param {Object} pickedPosition - Clicked point on the feature, if it was clicked
+ */
+function extractBuildingInfo(feature, pickedPosition = null) {
     const propertyIds = feature.getPropertyIds();
     const props = {};
 
@@ -46,46 +102,19 @@ function extractBuildingInfo(feature) {
         props[id] = feature.getProperty(id);
     });
 
-    // Common PLATEAU attribute names (may vary by dataset)
-    const height = props['bldg:measuredHeight']
-        || props['measuredHeight']
-        || props['建物高さ']
-        || props['height']
-        || props['bldg:height']
-        || null;
-
-    const usage = props['bldg:usage']
-        || props['usage']
-        || props['用途']
-        || null;
-
-    const name = props['gml:name']
-        || props['name']
-        || props['名称']
-        || null;
-
-    const storeysAboveGround = props['bldg:storeysAboveGround']
-        || props['storeysAboveGround']
-        || props['地上階数']
-        || null;
-
-    const yearOfConstruction = props['bldg:yearOfConstruction']
-        || props['yearOfConstruction']
-        || props['建築年']
-        || null;
-
-    const address = props['bldg:address']
-        || props['address']
-        || props['住所']
-        || null;
+    const dialect = getTilesetDialect(feature.tileset);
+    const height = readAttribute(props, dialect.height);
+    const storeysAboveGround = readAttribute(props, dialect.floors);
 
     return {
+        id: getFeatureId(props, dialect),
+        position: getFeaturePosition(feature, props, dialect, pickedPosition),
         height: height ? parseFloat(height) : null,
-        usage,
-        name,
+        usage: readAttribute(props, dialect.usage),
+        name: readAttribute(props, dialect.name),
         floors: storeysAboveGround ? parseInt(storeysAboveGround) : null,
-        yearBuilt: yearOfConstruction,
-        address,
+        yearBuilt: readAttribute(props, dialect.yearBuilt),
+        address: readAttribute(props, dialect.address),
         allProperties: props,
     };
 }
@@ -151,6 +180,41 @@ export function findBuildingsByCondition(viewer, tileset, conditionFn) {
     return matches;
 }
 
+function getBuildingKey(info) {
+    return info.id || `${info.position.longitude.toFixed(6)},${info.position.latitude.toFixed(6)}`;
+}
+
+/**
+ * Buildings within `radius` metres of a point across several tilesets.
+ * Buildings without a position are left out; features loaded at more than one
+ * level of detail are reported once (by id, or by position without one).
+ * @param {Cesium.Viewer} viewer
+ * @param {Cesium.Cesium3DTileset[]} tilesets
+ * @param {{ longitude: number, latitude: number }} center
+ * @param {number} radius - metres
+ * @param {Function} conditionFn - (buildingInfo) => boolean, applied on top of the radius
+ * @returns {Array} [{ feature, info }] with info.distance set, nearest first
+ */
+export function findBuildingsNear(viewer, tilesets, center, radius, conditionFn = () => true) {
+    const seen = new Set();
+    const matches = [];
+
+    tilesets.forEach(tileset => {
+        findBuildingsByCondition(viewer, tileset, info => {
+            if (!info.position || seen.has(getBuildingKey(info))) return false;
+            info.distance = distanceMeters(center, info.position);
+            return info.distance <= radius && conditionFn(info);
+        }).forEach(match => {
+            const key = getBuildingKey(match.info);
+            if (seen.has(key)) return;
+            seen.add(key);
+            matches.push(match);
+        });
+    });
+
+    return matches.sort((a, b) => a.info.distance - b.info.distance);
+}
+
 /**
  * Highlight buildings that match a condition with a specific color
  */
@@ -191,7 +255,7 @@ export function clearHighlights() {
 export function getClickedBuildingInfo(viewer, position) {
     const pickedFeature = viewer.scene.pick(position);
     if (Cesium.defined(pickedFeature) && pickedFeature instanceof Cesium.Cesium3DTileFeature) {
-        return extractBuildingInfo(pickedFeature);
+        return extractBuildingInfo(pickedFeature, pickSurfacePosition(viewer, position));
     }
     return null;
 }
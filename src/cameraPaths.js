@@ -0,0 +1,48 @@
+// cameraPaths.js -- Keyframed camera paths (played by map.js playCameraPath)
+//
+// A keyframe is where the camera is when it ends, in one of two forms:
+//   position, orientation       absolute: { longitude, latitude, height } and
+//                               { heading, pitch, roll } in degrees
+//   target, heading/pitch/range looking at a { longitude, latitude, height }
+//                               point from that direction (degrees) and distance (m)
+// plus duration (seconds to get there from the previous keyframe, or from the
+// current view for the first one) and easing (CAMERA_EASINGS key, default
+// DEFAULT_EASING). Between two keyframes around the same target the camera
+// moves in heading/pitch/range, so headings 0 then 360 orbit it once;
+// otherwise it travels in a straight line, lifted on longer hops.
+//
+// A stage's `intro` lists keyframes into it. Those without a position look at
+// the landmark, with any of heading/pitch/range left out taken from the
+// stage's cameraOffset; the path always ends on the cameraOffset view.
+// Kept free of Cesium so stage schemas can list the easings without a map.
+
+export const CAMERA_EASINGS = {
+    linear: t => t,
+    'ease-in': t => t * t,
+    'ease-out': t => t * (2 - t),
+    'ease-in-out': t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+};
+
+export const DEFAULT_EASING = 'ease-in-out';
+
+// Final approach to the stage's cameraOffset view
+const LANDMARK_FLIGHT_SECONDS = 3;
+
+/**
+ * Point the camera looks at for a stage: the middle of the building
+ */
+export function getLandmarkTarget(location) {
+    return { longitude: location.longitude, latitude: location.latitude, height: (location.height || 200) / 2 };
+}
+
+/**
+ * Keyframes into a stage: its intro fly-through, then its cameraOffset view
+ * @param {Object} stage - Stage with location, cameraOffset and optional intro
+ * @returns {Object[]} keyframes for playCameraPath
+ */
+export function getStageCameraPath(stage) {
+    const target = getLandmarkTarget(stage.location);
+    const intro = (stage.intro || []).map(keyframe =>
+        (keyframe.position ? keyframe : { target, ...stage.cameraOffset, ...keyframe }));
+    return [...intro, { target, ...stage.cameraOffset, duration: LANDMARK_FLIGHT_SECONDS }];
+}
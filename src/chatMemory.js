@@ -0,0 +1,174 @@
+// chatMemory.js -- Scoped, budgeted conversation history for the Game Master chat
+//
+// Instead of one provider chat that grows for the whole run, ChatMemory keeps
+// the transcript itself and rebuilds the provider history for every call:
+//
+//   [system prompt] [ready]                       always
+//   [rolling summary + current scope context]     compact, one turn pair
+//   [turns of the current scope]                  pruned oldest-first
+//
+// The engine opens a new scope per stage (beginScope), so puzzles, answers and
+// hints of earlier stages never leak into the current one. Each cleared stage
+// leaves a one-line summary for narrative continuity. When the estimated
+// history exceeds `tokenBudget`, the oldest scope turns are dropped, then the
+// oldest summary lines are folded into a count.
+//
+// Chat interface is the same as a provider chat (send / sendStream), so the
+// engine can use a ChatMemory wherever it used the raw session. Every call may
+// pass its own system prompt (e.g. a guest character's persona); the
+// transcript stays shared, so all characters see the same story.
+
+/**
+ * Rough token estimate for budgeting when the backend does not report usage:
+ * ~1 token per CJK character, ~1 token per 4 other characters.
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    const cjk = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uff00-\uffef]/g) || []).length;
+    return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+export class ChatMemory {
+    /**
+     * @param {Object} provider - Chat provider (see providers/index.js)
+     * @param {Object} options
+     * @param {string} options.systemPrompt - First user turn
+     * @param {string} options.ready - Model acknowledgement of the system prompt
+     * @param {string} options.contextAck - Model acknowledgement of the summary/context turn
+     * @param {string} options.summaryHeader - Heading for the rolling summary
+     * @param {Function} options.earlierSummary - (count) => line replacing folded summary lines
+     * @param {number} options.tokenBudget - Max estimated history tokens per call (default: 6000)
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.systemPrompt = options.systemPrompt || '';
+        this.ready = options.ready || '';
+        this.contextAck = options.contextAck || 'OK.';
+        this.summaryHeader = options.summaryHeader || '';
+        this.earlierSummary = options.earlierSummary || (count => `(${count} earlier)`);
+        this.tokenBudget = options.tokenBudget || 6000;
+
+        this.summary = [];
+        this.foldedCount = 0;
+        this.scopeId = null;
+        this.context = '';
+        this.turns = [];
+    }
+
+    /**
+     * Start a new scope (e.g. a stage): its turns replace the previous scope's
+     * @param {string|number} scopeId
+     * @param {string} context - Pinned for the whole scope (e.g. the current puzzle)
+     */
+    beginScope(scopeId, context = '') {
+        this.scopeId = scopeId;
+        this.context = context;
+        this.turns = [];
+    }
+
+    /**
+     * Append a line to the rolling summary of past scopes
+     */
+    addSummary(line) {
+        if (line) this.summary.push(line);
+        this._prune();
+    }
+
+    /**
+     * Summary and scope context as one block ('' when there is neither)
+     */
+    getContextText() {
+        const lines = this.summary.slice();
+        if (this.foldedCount > 0) lines.unshift(this.earlierSummary(this.foldedCount));
+        const summary = lines.length > 0 ? `${this.summaryHeader}\n${lines.join('\n')}` : '';
+        return [summary, this.context].filter(Boolean).join('\n\n');
+    }
+
+    getHistory(systemPrompt = this.systemPrompt) {
+        const history = [
+            { role: 'user', text: systemPrompt },
+            { role: 'model', text: this.ready },
+        ];
+        const context = this.getContextText();
+        if (context) {
+            history.push({ role: 'user', text: context }, { role: 'model', text: this.contextAck });
+        }
+        return history.concat(this.turns);
+    }
+
+    estimateHistoryTokens() {
+        return this.getHistory().reduce((sum, turn) => sum + estimateTokens(turn.text), 0);
+    }
+
+    /**
+     * Drop the oldest scope turns, then fold the oldest summary lines, until
+     * the history fits the budget. The pinned context is never dropped.
+     */
+    _prune() {
+        while (this.turns.length > 0 && this.estimateHistoryTokens() > this.tokenBudget) {
+            this.turns.splice(0, 2);
+        }
+        while (this.summary.length > 1 && this.estimateHistoryTokens() > this.tokenBudget) {
+            this.summary.shift();
+            this.foldedCount++;
+        }
+    }
+
+    _usage(usage, history, text, reply) {
+        const historyTokens = history.reduce((sum, turn) => sum + estimateTokens(turn.text), 0);
+        if (usage) return { ...usage, historyTokens, estimated: false };
+        return {
+            inputTokens: historyTokens + estimateTokens(text),
+            outputTokens: estimateTokens(reply),
+            historyTokens,
+            estimated: true,
+        };
+    }
+
+    _record(text, reply) {
+        this.turns.push({ role: 'user', text }, { role: 'model', text: reply });
+        this._prune();
+    }
+
+    /**
+     * @param {string} text
+     * @param {Object} label - Call label ({ kind, key })
+     * @param {string} systemPrompt - Overrides the default system prompt for this call
+     */
+    async send(text, label, systemPrompt) {
+        const history = this.getHistory(systemPrompt);
+        const chat = await this.provider.createChat({ history });
+        const result = await chat.send(text, label);
+        this._record(text, result.text);
+        return { text: result.text, usage: this._usage(result.usage, history, text, result.text) };
+    }
+
+    /**
+     * Stream a reply; the generator's return value is the call's usage
+     */
+    async *sendStream(text, label, systemPrompt) {
+        const history = this.getHistory(systemPrompt);
+        const chat = await this.provider.createChat({ history });
+        const iterator = chat.sendStream(text, label)[Symbol.asyncIterator]();
+
+        let reply = '';
+        let step;
+        while (!(step = await iterator.next()).done) {
+            reply += step.value;
+            yield step.value;
+        }
+        this._record(text, reply);
+        return this._usage(step.value || null, history, text, reply);
+    }
+
+    /**
+     * Single-shot call outside the scope (system prompt and summary prepended,
+     * nothing recorded). Used for background prefetching.
+     */
+    async prompt(text, label, systemPrompt = this.systemPrompt) {
+        const summary = this.summary.length > 0 ? `${this.summaryHeader}\n${this.summary.join('\n')}\n\n` : '';
+        const fullText = `${systemPrompt}\n\n${summary}${text}`;
+        const result = await this.provider.prompt(fullText, label);
+        return { text: result.text, usage: this._usage(result.usage, [], fullText, result.text) };
+    }
+}
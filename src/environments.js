@@ -0,0 +1,69 @@
+// environments.js -- Weather and time-of-day presets for the map
+//
+// A preset is the full look of the scene:
+//   background      sky colour behind the globe (CSS colour)
+//   globe           globe base colour (no imagery without Cesium ion)
+//   fog             { density, brightness } (density 0 turns fog off)
+//   light           { color, intensity, direction: [x, y, z] } of the sun
+//   buildings       CSS colour every building is painted, or null for its textures
+//   rain            rain streak strength (0-1) and colour: { amount, color }
+//   scanlines       CRT scanline strength (0-1)
+// map.js setEnvironment blends the numbers between presets frame by frame;
+// the building colour switches at the end of the blend. Stages ask for one
+// with `environment`, story endings with STORY.endings[].environment. Kept
+// free of Cesium so stage schemas can list the names without a map.
+
+export const DEFAULT_ENVIRONMENT = 'neon-night';
+
+export const ENVIRONMENT_PRESETS = {
+    // The virtual prison dome: bright but artificial
+    'neon-night': {
+        background: '#1e1e3f',
+        globe: '#1a1a35',
+        fog: { density: 0.00005, brightness: 0.5 },
+        light: { color: '#ffffff', intensity: 3.0, direction: [0.3, 0.3, -0.9] },
+        buildings: null,
+        rain: { amount: 0, color: '#9fe8ff' },
+        scanlines: 0.15,
+    },
+    'acid-rain': {
+        background: '#16261d',
+        globe: '#122018',
+        fog: { density: 0.00012, brightness: 0.35 },
+        light: { color: '#d4ffb8', intensity: 2.2, direction: [0.2, 0.4, -0.9] },
+        buildings: null,
+        rain: { amount: 1, color: '#b8ff66' },
+        scanlines: 0.3,
+    },
+    'fog-bank': {
+        background: '#7d8294',
+        globe: '#5f6476',
+        fog: { density: 0.0006, brightness: 0.9 },
+        light: { color: '#e0e4f0', intensity: 2.0, direction: [0.3, 0.3, -0.9] },
+        buildings: null,
+        rain: { amount: 0, color: '#9fe8ff' },
+        scanlines: 0,
+    },
+    // Low sun from the east
+    dawn: {
+        background: '#e89a7c',
+        globe: '#4e3a4a',
+        fog: { density: 0.00008, brightness: 0.7 },
+        light: { color: '#ffc890', intensity: 3.5, direction: [-0.8, 0.2, -0.35] },
+        buildings: null,
+        rain: { amount: 0, color: '#9fe8ff' },
+        scanlines: 0,
+    },
+    // The dome lifted (the escape ending)
+    'clear-sky': {
+        background: '#87ceeb',
+        globe: '#87ceeb',
+        fog: { density: 0, brightness: 1.0 },
+        light: { color: '#fffff2', intensity: 5.0, direction: [0.5, 0.5, -1.0] },
+        buildings: 'white',
+        rain: { amount: 0, color: '#9fe8ff' },
+        scanlines: 0,
+    },
+};
+
+export const ENVIRONMENT_NAMES = Object.keys(ENVIRONMENT_PRESETS);
@@ -0,0 +1,440 @@
+// fallbackPuzzles.js -- Offline puzzle bank per language and stage
+//
+// Used when neither the Cloud model nor Gemini Nano can produce a puzzle
+// (see puzzleBank.js for selection). Each stage entry holds:
+//   puzzles    several puzzles in the PUZZLE_SCHEMA shape, plus a stable `id`
+//              (shared across languages, so history carries over) and a
+//              `difficulty` (1-5) used to match the player's skill
+//   hints      a generic 3-level hint ladder for the stage, served when an
+//              AI hint was requested and every backend failed
+//   arrival    short facts about the stage, appended to the fallback narration
+// Wording is theme-neutral; themes may re-word a question by puzzle id
+// (fallbackQuestions in prompts.js).
+
+export const FALLBACK_BANK = {
+    ja: {
+        1: {
+            puzzles: [
+                {
+                    id: 'tokyo-tower-name',
+                    difficulty: 1,
+                    question: 'この塔の全高は333m。1958年に日本電波塔として建てられた。一般に何と呼ばれている？',
+                    answer: '東京タワー',
+                    acceptedAliases: ['とうきょうタワー', 'Tokyo Tower', '日本電波塔'],
+                    format: 'text',
+                    hints: ['旧世紀の電波塔だ。', '港区芝公園に立つ赤白の塔。', '「東京○○○」。カタカナ3文字。'],
+                    sourceFacts: ['1958年に日本電波塔として建造。全高333m。'],
+                },
+                {
+                    id: 'tokyo-tower-year',
+                    difficulty: 1,
+                    question: '全高333mの電波塔。建造されたのは西暦何年？',
+                    answer: '1958',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['昭和30年代の建造だ。', '1950年代の後半。', '「195○年」。末尾は8。'],
+                    sourceFacts: ['1958年に日本電波塔として建造。'],
+                    unit: '年',
+                    tolerance: 0,
+                },
+                {
+                    id: 'tokyo-tower-architect',
+                    difficulty: 2,
+                    question: '「耐震構造の父」と呼ばれ、この塔の設計を担った人物は誰か。選択肢から選べ。',
+                    answer: '内藤多仲',
+                    acceptedAliases: ['ないとうたちゅう', 'Tachu Naito'],
+                    format: 'choice',
+                    choices: ['辰野金吾', '内藤多仲', '丹下健三', '黒川紀章'],
+                    hints: ['建築構造学者だ。', '早稲田大学の教授を務めた。', '「内藤○○」。'],
+                    sourceFacts: ['設計者: 内藤多仲。'],
+                },
+            ],
+            hints: ['塔の基本データを照会せよ。', '高さ・建造年・設計者の記録を見ろ。', 'マーカーの名称と塔のスペックを組み合わせろ。'],
+            arrival: [
+                '東京タワーの地上150mと250mには展望台がある。',
+                '東京タワーの赤白の塗装は航空法に基づくものだ。',
+            ],
+        },
+        2: {
+            puzzles: [
+                {
+                    id: 'wako-name',
+                    difficulty: 2,
+                    question: '1932年竣工の時計塔を持つビル。旧名「服部時計店」。現在の名称は？',
+                    answer: '和光',
+                    acceptedAliases: ['わこう', 'WAKO', '和光ビル', '和光本館'],
+                    format: 'text',
+                    hints: ['銀座四丁目交差点の時計塔だ。', 'ネオルネサンス様式の建物。', '漢字2文字。「和」で始まる。'],
+                    sourceFacts: ['和光ビルは1932年竣工。旧名: 服部時計店。'],
+                },
+                {
+                    id: 'nihonbashi-year',
+                    difficulty: 2,
+                    question: '旧五街道の起点となった日本橋。最初に架けられたのは西暦何年？',
+                    answer: '1603',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['江戸時代の始まりを思い出せ。', '江戸幕府が開かれた年と同じだ。', '1600年代初頭。'],
+                    sourceFacts: ['日本橋: 1603年架橋。旧五街道の起点。'],
+                    unit: '年',
+                    tolerance: 0,
+                },
+                {
+                    id: 'ginza-timeline',
+                    difficulty: 3,
+                    question: 'この地区の出来事を古い順に並べ替えよ。',
+                    answer: '日本橋の架橋 → 三越の創業 → 和光ビルの竣工 → 歩行者天国の開始',
+                    acceptedAliases: [],
+                    format: 'ordering',
+                    items: ['日本橋の架橋', '三越の創業', '和光ビルの竣工', '歩行者天国の開始'],
+                    hints: ['江戸時代の出来事が2つある。', '橋は1603年、百貨店の創業は1673年。', '時計塔は1932年、歩行者天国は1970年。'],
+                    sourceFacts: ['日本橋: 1603年架橋。', '三越本店: 創業1673年。', '和光ビル: 1932年竣工。', '歩行者天国: 1970年開始。'],
+                },
+            ],
+            hints: ['銀座と日本橋の記録を照会せよ。', '橋・時計塔・百貨店の年代に注目しろ。', '江戸期から昭和までの年表を組み立てろ。'],
+            arrival: [
+                '銀座の名は、江戸期の銀貨鋳造所に由来する。',
+                '日本橋の現在の石橋は1911年に架けられた。',
+            ],
+        },
+        3: {
+            puzzles: [
+                {
+                    id: 'hachiko-breed',
+                    difficulty: 2,
+                    question: '渋谷駅前に設置された犬の銅像。この犬の犬種は？',
+                    answer: '秋田犬',
+                    acceptedAliases: ['あきたいぬ', 'あきたけん', 'Akita', 'Akita Inu'],
+                    format: 'text',
+                    hints: ['ハチ公像の犬種だ。', '東北地方の県名が付いた日本犬。', '「○○犬」。○○は東北の県。'],
+                    sourceFacts: ['ハチ公像: 1934年設置。犬種「秋田犬」。'],
+                },
+                {
+                    id: 'hachiko-year',
+                    difficulty: 3,
+                    question: 'ハチ公像が渋谷駅前に設置された年はどれか。',
+                    answer: '1934年',
+                    acceptedAliases: ['1934'],
+                    format: 'choice',
+                    choices: ['1914年', '1934年', '1958年', '1979年'],
+                    hints: ['昭和初期のことだ。', '戦前に設置された。', '1930年代。'],
+                    sourceFacts: ['ハチ公像: 1934年設置。'],
+                },
+                {
+                    id: 'shibuya-sky-height',
+                    difficulty: 3,
+                    question: '渋谷の街を見下ろす展望施設「SHIBUYA SKY」。その高さは何メートル？',
+                    answer: '229',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['渋谷で最も高い展望施設だ。', '109の約4倍の高さ。', '220m台。'],
+                    sourceFacts: ['SHIBUYA SKY: 高さ229m。'],
+                    unit: 'm',
+                    tolerance: 1,
+                },
+            ],
+            hints: ['交差点周辺の建物と銅像の記録を照会せよ。', '駅前の銅像と周囲の高層施設に注目しろ。', 'ハチ公・109・SHIBUYA SKYのデータを確認しろ。'],
+            arrival: [
+                '渋谷スクランブル交差点は、1日約50万人が行き交う。',
+                '渋谷駅の1日の乗降客数は約330万人にのぼる。',
+            ],
+        },
+        4: {
+            puzzles: [
+                {
+                    id: 'akiba-shrine',
+                    difficulty: 3,
+                    question: 'この街の名称の由来となった、火除けの神を祀る神社の名は？',
+                    answer: '秋葉神社',
+                    acceptedAliases: ['あきばじんじゃ', 'Akiba Shrine', '秋葉大権現'],
+                    format: 'text',
+                    hints: ['街の名前をよく見ろ。', '火除けの神を祀る神社。', '「○○神社」。○○は街の名の前半。'],
+                    sourceFacts: ['名称由来の「秋葉神社」は火除けの神を祀る。'],
+                },
+                {
+                    id: 'radio-kaikan-year',
+                    difficulty: 3,
+                    question: '電気街の象徴「ラジオ会館」。最初の建物が建てられたのは西暦何年？',
+                    answer: '1962',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['高度経済成長期だ。', '東京オリンピックの2年前。', '1960年代前半。'],
+                    sourceFacts: ['ラジオ会館: 1962年建造。'],
+                    unit: '年',
+                    tolerance: 0,
+                },
+                {
+                    id: 'akiba-timeline',
+                    difficulty: 4,
+                    question: '秋葉原の三つの施設を、開業・建造の古い順に並べ替えよ。',
+                    answer: '秋葉原駅 → ラジオ会館 → 秋葉原UDX',
+                    acceptedAliases: [],
+                    format: 'ordering',
+                    items: ['秋葉原駅', 'ラジオ会館', '秋葉原UDX'],
+                    hints: ['最も古いのは19世紀の施設だ。', '駅は1890年開業。', '最も新しいのは2006年竣工のビル。'],
+                    sourceFacts: ['秋葉原駅: 1890年開業。', 'ラジオ会館: 1962年建造。', '秋葉原UDX: 2006年竣工。'],
+                },
+            ],
+            hints: ['電気街の記録を照会せよ。', '街の名の由来と主要施設の年代に注目しろ。', '神社・駅・ラジオ会館・UDXのデータを確認しろ。'],
+            arrival: [
+                '秋葉原の電気街は、戦後の闇市から発展した。',
+                '秋葉原駅は1890年に開業した。',
+            ],
+        },
+        5: {
+            puzzles: [
+                {
+                    id: 'tocho-height',
+                    difficulty: 4,
+                    question: '東京都庁第一本庁舎の高さは何メートル？数値で答えよ。',
+                    answer: '243.4',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['第一本庁舎のスペックを照会せよ。', '48階建て。200mは優に超える。', '240m台。小数点第一位まで。'],
+                    sourceFacts: ['第一本庁舎: 高さ243.4m、48階建て。'],
+                    unit: 'm',
+                    tolerance: 0.5,
+                },
+                {
+                    id: 'tocho-architect',
+                    difficulty: 4,
+                    question: '1991年に竣工したツインタワーの都庁舎。設計した建築家は誰か。',
+                    answer: '丹下健三',
+                    acceptedAliases: ['たんげけんぞう', 'Kenzo Tange', 'Tange Kenzo'],
+                    format: 'choice',
+                    choices: ['黒川紀章', '丹下健三', '安藤忠雄', '隈研吾'],
+                    hints: ['戦後日本を代表する建築家だ。', '国立代々木競技場も手がけた。', '「丹下○○」。'],
+                    sourceFacts: ['新宿都庁: 1991年竣工。設計者: 丹下健三。'],
+                },
+                {
+                    id: 'tocho-observatory',
+                    difficulty: 5,
+                    question: '第一本庁舎45階の展望室。その床は地上何メートルにある？',
+                    answer: '202',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['本庁舎全体の高さより40mほど低い。', '200mを少し超える。', '「20○m」。'],
+                    sourceFacts: ['45階展望室（地上202m）。'],
+                    unit: 'm',
+                    tolerance: 1,
+                },
+            ],
+            hints: ['都庁舎の記録を照会せよ。', '高さ・階数・設計者・竣工年に注目しろ。', '第一本庁舎のスペックを確認しろ。'],
+            arrival: [
+                '都庁第一本庁舎は48階建て、高さ243.4mのツインタワーだ。',
+                '都庁舎の建設費は1569億円にのぼった。',
+            ],
+        },
+    },
+    en: {
+        1: {
+            puzzles: [
+                {
+                    id: 'tokyo-tower-name',
+                    difficulty: 1,
+                    question: 'This 333m tower was built in 1958 as the Japan Radio Tower. What is it commonly called?',
+                    answer: 'Tokyo Tower',
+                    acceptedAliases: ['東京タワー', 'とうきょうタワー', 'Japan Radio Tower', '日本電波塔'],
+                    format: 'text',
+                    hints: ['It is an old broadcasting tower.', 'The red-and-white tower in Shiba Park, Minato.', '"Tokyo ____".'],
+                    sourceFacts: ['Built in 1958 as the Japan Radio Tower. 333m tall.'],
+                },
+                {
+                    id: 'tokyo-tower-year',
+                    difficulty: 1,
+                    question: 'In what year was this 333m broadcasting tower built?',
+                    answer: '1958',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['It was built in the post-war boom.', 'The late 1950s.', '195_, ending in 8.'],
+                    sourceFacts: ['Built in 1958 as the Japan Radio Tower.'],
+                    tolerance: 0,
+                },
+                {
+                    id: 'tokyo-tower-architect',
+                    difficulty: 2,
+                    question: 'Known as the father of earthquake-resistant design, who engineered this tower? Pick one.',
+                    answer: 'Tachu Naito',
+                    acceptedAliases: ['内藤多仲', 'Naito Tachu'],
+                    format: 'choice',
+                    choices: ['Kingo Tatsuno', 'Tachu Naito', 'Kenzo Tange', 'Kisho Kurokawa'],
+                    hints: ['A structural engineer, not an architect.', 'He taught at Waseda University.', 'His family name is Naito.'],
+                    sourceFacts: ['Designer: Tachu Naito.'],
+                },
+            ],
+            hints: ['Check the tower\'s basic records.', 'Look at its height, year and designer.', 'Combine the marker\'s name with the tower\'s specifications.'],
+            arrival: [
+                'Tokyo Tower has observation decks at 150m and 250m.',
+                'Tokyo Tower\'s red and white paint is required by aviation law.',
+            ],
+        },
+        2: {
+            puzzles: [
+                {
+                    id: 'wako-name',
+                    difficulty: 2,
+                    question: 'A building with a clock tower, completed in 1932 and once known as the Hattori Clock Store. What is it called today?',
+                    answer: 'Wako',
+                    acceptedAliases: ['和光', 'わこう', 'Wako Building', '和光ビル'],
+                    format: 'text',
+                    hints: ['The clock tower on the Ginza 4-chome crossing.', 'A neo-Renaissance department store.', 'Four letters, starting with "W".'],
+                    sourceFacts: ['The Wako building was completed in 1932; formerly the Hattori Clock Store.'],
+                },
+                {
+                    id: 'nihonbashi-year',
+                    difficulty: 2,
+                    question: 'Nihonbashi was the starting point of the five old highways. In what year was the first bridge built?',
+                    answer: '1603',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['Think of the start of the Edo period.', 'The same year the Edo shogunate was founded.', 'Early 1600s.'],
+                    sourceFacts: ['Nihonbashi: first built in 1603; start of the five highways.'],
+                    tolerance: 0,
+                },
+                {
+                    id: 'ginza-timeline',
+                    difficulty: 3,
+                    question: 'Put these events in this district in order, oldest first.',
+                    answer: 'Nihonbashi bridge built → Mitsukoshi founded → Wako building completed → Pedestrian paradise begins',
+                    acceptedAliases: [],
+                    format: 'ordering',
+                    items: ['Nihonbashi bridge built', 'Mitsukoshi founded', 'Wako building completed', 'Pedestrian paradise begins'],
+                    hints: ['Two of these happened in the Edo period.', 'The bridge dates from 1603, the store from 1673.', 'The clock tower is from 1932, the car-free street from 1970.'],
+                    sourceFacts: ['Nihonbashi: 1603.', 'Mitsukoshi: founded 1673.', 'Wako building: 1932.', 'Pedestrian paradise: since 1970.'],
+                },
+            ],
+            hints: ['Check the records of Ginza and Nihonbashi.', 'Look at the dates of the bridge, the clock tower and the department store.', 'Build a timeline from the Edo period to the Showa era.'],
+            arrival: [
+                'Ginza is named after the Edo-period silver mint.',
+                'The current stone Nihonbashi bridge was built in 1911.',
+            ],
+        },
+        3: {
+            puzzles: [
+                {
+                    id: 'hachiko-breed',
+                    difficulty: 2,
+                    question: 'A bronze statue of a dog stands in front of Shibuya Station. What breed was the dog?',
+                    answer: 'Akita',
+                    acceptedAliases: ['Akita Inu', '秋田犬', 'あきたいぬ'],
+                    format: 'text',
+                    hints: ['The dog is Hachiko.', 'A Japanese breed named after a prefecture in Tohoku.', '"A____", the same name as the prefecture.'],
+                    sourceFacts: ['Hachiko statue, installed 1934. Breed: Akita.'],
+                },
+                {
+                    id: 'hachiko-year',
+                    difficulty: 3,
+                    question: 'In which year was the Hachiko statue installed in front of Shibuya Station?',
+                    answer: '1934',
+                    acceptedAliases: [],
+                    format: 'choice',
+                    choices: ['1914', '1934', '1958', '1979'],
+                    hints: ['Early in the Showa era.', 'Before the war.', 'The 1930s.'],
+                    sourceFacts: ['Hachiko statue, installed 1934.'],
+                },
+                {
+                    id: 'shibuya-sky-height',
+                    difficulty: 3,
+                    question: 'The SHIBUYA SKY observation deck overlooks the whole district. How tall is it, in metres?',
+                    answer: '229',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['The highest viewpoint in Shibuya.', 'About four times the height of 109.', 'In the 220s.'],
+                    sourceFacts: ['SHIBUYA SKY: 229m.'],
+                    unit: 'm',
+                    tolerance: 1,
+                },
+            ],
+            hints: ['Check the records of the buildings and statue around the crossing.', 'Look at the statue by the station and the towers around it.', 'Check the data on Hachiko, 109 and SHIBUYA SKY.'],
+            arrival: [
+                'About 500,000 people cross Shibuya Scramble every day.',
+                'Shibuya Station handles about 3.3 million passengers a day.',
+            ],
+        },
+        4: {
+            puzzles: [
+                {
+                    id: 'akiba-shrine',
+                    difficulty: 3,
+                    question: 'This district is named after a shrine to the god who protects against fire. What is the shrine called?',
+                    answer: 'Akiba Shrine',
+                    acceptedAliases: ['Akiba Jinja', '秋葉神社', 'あきばじんじゃ'],
+                    format: 'text',
+                    hints: ['Look closely at the district\'s name.', 'A shrine to the fire-protection god.', '"A____ Shrine", the first half of the district\'s name.'],
+                    sourceFacts: ['The district is named after Akiba Shrine, dedicated to the god of fire protection.'],
+                },
+                {
+                    id: 'radio-kaikan-year',
+                    difficulty: 3,
+                    question: 'Radio Kaikan is the symbol of the electric town. In what year was its first building built?',
+                    answer: '1962',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['During the high-growth era.', 'Two years before the Tokyo Olympics.', 'The early 1960s.'],
+                    sourceFacts: ['Radio Kaikan: built 1962.'],
+                    tolerance: 0,
+                },
+                {
+                    id: 'akiba-timeline',
+                    difficulty: 4,
+                    question: 'Put these three Akihabara landmarks in order of opening, oldest first.',
+                    answer: 'Akihabara Station → Radio Kaikan → Akihabara UDX',
+                    acceptedAliases: [],
+                    format: 'ordering',
+                    items: ['Akihabara Station', 'Radio Kaikan', 'Akihabara UDX'],
+                    hints: ['The oldest one dates from the 19th century.', 'The station opened in 1890.', 'The newest was completed in 2006.'],
+                    sourceFacts: ['Akihabara Station: opened 1890.', 'Radio Kaikan: built 1962.', 'Akihabara UDX: completed 2006.'],
+                },
+            ],
+            hints: ['Check the records of the electric town.', 'Look at where the name comes from and when the landmarks opened.', 'Check the data on the shrine, the station, Radio Kaikan and UDX.'],
+            arrival: [
+                'Akihabara\'s electric town grew out of a post-war black market.',
+                'Akihabara Station opened in 1890.',
+            ],
+        },
+        5: {
+            puzzles: [
+                {
+                    id: 'tocho-height',
+                    difficulty: 4,
+                    question: 'How tall is Tokyo Metropolitan Government Building No. 1, in metres? Answer with a number.',
+                    answer: '243.4',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['Check the building\'s specifications.', '48 floors. Well over 200m.', 'In the 240s. One decimal place.'],
+                    sourceFacts: ['Main Building No. 1: 243.4m, 48 floors.'],
+                    unit: 'm',
+                    tolerance: 0.5,
+                },
+                {
+                    id: 'tocho-architect',
+                    difficulty: 4,
+                    question: 'The twin-towered government building was completed in 1991. Who designed it?',
+                    answer: 'Kenzo Tange',
+                    acceptedAliases: ['丹下健三', 'たんげけんぞう', 'Tange Kenzo'],
+                    format: 'choice',
+                    choices: ['Kisho Kurokawa', 'Kenzo Tange', 'Tadao Ando', 'Kengo Kuma'],
+                    hints: ['A leading architect of post-war Japan.', 'He also designed Yoyogi National Gymnasium.', 'His family name is Tange.'],
+                    sourceFacts: ['Tokyo Metropolitan Government Building: completed 1991, designed by Kenzo Tange.'],
+                },
+                {
+                    id: 'tocho-observatory',
+                    difficulty: 5,
+                    question: 'The observation deck is on the 45th floor of Building No. 1. How high above the ground is it, in metres?',
+                    answer: '202',
+                    acceptedAliases: [],
+                    format: 'number',
+                    hints: ['About 40m lower than the top of the building.', 'Just over 200m.', '20_ metres.'],
+                    sourceFacts: ['45th-floor observation deck, 202m above ground.'],
+                    unit: 'm',
+                    tolerance: 1,
+                },
+            ],
+            hints: ['Check the records of the government building.', 'Look at its height, floors, architect and completion year.', 'Check the specifications of Building No. 1.'],
+            arrival: [
+                'Building No. 1 is a 48-floor twin tower, 243.4m tall.',
+                'The government building cost 156.9 billion yen to build.',
+            ],
+        },
+    },
+};
@@ -7,29 +7,69 @@
  *
  * ## Current Implementation (v1.0)
  * - Cloud AI: Gemini 3 Flash for puzzle generation, answer evaluation, narration
- * - Dynamic difficulty: Adjusts based on consecutive correct/wrong answers
- * - Flexible answer matching: AI judges variations (東京タワー/Tokyo Tower/とうきょうタワー)
- * - Fallback puzzles: Pre-written puzzles when API fails
+ * - Structured puzzles: JSON objects (question, answer, aliases, hints) validated against a schema
+ * - Dynamic difficulty: A continuous skill estimate (skillModel.js) built from solve time,
+ *   hint levels, wrong attempts and stage difficulty drives puzzle complexity, hint
+ *   directness and narration tone (engine.getSkillEstimate() / engine.setSkill())
+ * - Flexible answer matching: Local matcher folds variations (東京タワー/Tokyo Tower/とうきょうタワー,
+ *   243.4/243.4m) instantly; AI judges only what stays ambiguous
+ * - Hint economy: each puzzle's 3-step hint ladder is generated with it; every level is revealed
+ *   once per stage and adds a time penalty (config.hintPenalties, engine.getHintStatus())
+ * - Fallback puzzles: seeded offline bank (several puzzles per stage, no repeats across
+ *   sessions) that also supplies hints and narration when every backend fails
+ * - Spatial puzzles: stages with `spatialPuzzle` get "find the building" riddles built from
+ *   real PLATEAU attributes (spatialPuzzles.js); answered by clicking, judged by feature id
+ * - Procedural stages: generateStage() builds a valid, savable stage around any coordinate
+ *   with loaded tiles, its text written from the real buildings there (stageGenerator.js)
+ * - Hardened judging: answers reach the AI only escaped inside <player_answer> delimiters,
+ *   verdicts come back as JSON ({ verdict, message }), suspected injections go to gameLog
+ * - Branching story: choice points after stages set persistent flags (story.js) that pick
+ *   the next stage and the ending (escape / merge / loop); narration is told from the flags
+ *
+ * ## Chat Memory (chatMemory.js)
+ * - One context scope per stage: only the current puzzle, its answers and hints are in history
+ * - Cleared stages leave a one-line rolling summary for narrative continuity
+ * - History is pruned under config.tokenBudget; every call's token usage is recorded
+ *   in engine.usage and reported through config.onUsage
+ *
+ * ## Telemetry (telemetry.js)
+ * - Every public call and background prefetch emits one event: method, backend, latency,
+ *   retries, tokens and fallback reason (engine.telemetry, config.onTelemetry)
+ * - engine.exportTelemetry() returns the session's events and summary as JSON-ready data
+ *
+ * ## Streaming
+ * - evaluateAnswer / requestHint / generateNarration / generateEndingStory accept
+ *   { onToken(chunk, textSoFar) } and stream the reply as it is generated
+ * - Puzzles are not streamed: they must be complete, schema-valid JSON first
+ *
+ * ## Pluggable Providers (providers/)
+ * - Gemini Cloud, Chrome Prompt API and a scripted offline provider share one interface
+ * - `?ai=scripted` (or VITE_AI_PROVIDER=scripted) replays fixtures/scripted-session.json:
+ *   the full five-stage flow runs with no network and no API key
  *
  * ## Hybrid AI Architecture (Experimental)
- * - Edge AI: Chrome's window.ai (Gemini Nano) for zero-latency evaluation
- * - Status: Experimental feature in Chrome Canary/Dev only (requires flags)
+ * - Edge AI: Chrome's built-in Prompt API (Gemini Nano) for zero-latency evaluation; both the
+ *   `LanguageModel` global and the older window.ai.languageModel shape are detected
+ * - The model download runs in the background with progress reported to config.onEdgeStatus;
+ *   edge sessions that run out of context are recreated
+ * - Every reply records the backend that produced it ('local' | 'edge' | 'cloud' | 'fallback'):
+ *   engine.getBackend(), result.backend of evaluateAnswer and each usage entry
  * - Current behavior: Gracefully falls back to Cloud API when unavailable
  * - Future: When widely available, enables offline play and instant responses
  *
  * ## Extensibility
  * - Add stages: Just add entries to stages.js with puzzleContext data
- * - Custom themes: Pass theme config ('cyberpunk', 'fantasy', 'mystery')
- * - Multi-language: Set language option ('ja', 'en')
- * - Story branching: Use generateNarration() with player stats for dynamic story
+ * - Custom themes: Pass theme config ('cyberpunk', 'fantasy', 'mystery') or ?theme=
+ * - Multi-language: Set language option ('ja', 'en') or ?lang= (templates in prompts.js)
+ * - Story branching: Add choice points, flags and endings to the graph in story.js
+ * - Stage packs: Whole campaigns as validated JSON (stagePacks.js), see setStagePack()
+ * - More cities: Declare any 3D Tiles area in a pack (tilesetRegistry.js)
  * - Custom AI personality: Override systemPrompt via customSystemPrompt config
  *
  * ## Future Possibilities
  * - Multiplayer: Share game state, competitive puzzle solving
- * - More cities: Osaka, Kyoto, NYC (any PLATEAU/3D Tiles compatible data)
  * - Voice interaction: Combine with Web Speech API for voice answers
  * - AR mode: Overlay puzzles on real camera feed
- * - Procedural stages: AI generates new stages from city data
  *
  * @example
  * const engine = new GeoAIGameMaster({
@@ -38,14 +78,33 @@
  *   language: 'ja'
  * });
  * await engine.init();
- * const puzzle = await engine.generatePuzzle(stageData);
- * const result = await engine.evaluateAnswer(userAnswer);
+ * const puzzle = await engine.generatePuzzle(stageData); // { question, answer, hints, ... }
+ * const result = await engine.evaluateAnswer(userAnswer); // { verdict: 'correct' | 'wrong', message }
  *
  * @author Tokyo Escape Team
  * @license MIT
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createProvider, getDefaultProviderName, ChromePromptProvider } from './providers/index.js';
+import { parsePuzzle, normalizePuzzle, PUZZLE_FORMATS } from './puzzles.js';
+import { matchAnswer } from './answerMatcher.js';
+import { escapePlayerAnswer, detectInjection, parseVerdict } from './answerGuard.js';
+import { getPromptTemplates, getDefaultTheme, getDefaultLanguage } from './prompts.js';
+import { ChatMemory, estimateTokens } from './chatMemory.js';
+import { PlayerSkillModel } from './skillModel.js';
+import { buildSpatialPuzzle, matchBuilding } from './spatialPuzzles.js';
+import { PuzzleBank } from './puzzleBank.js';
+import { StoryState, LINEAR_STORY } from './story.js';
+import { draftStage, summarizeBuildings, parseStageText } from './stageGenerator.js';
+import { validateStage } from './stageSchema.js';
+import { Telemetry } from './telemetry.js';
+
+// Pin puzzles need coordinates the model can get wrong, so stages opt in via puzzleFormats
+const DEFAULT_PUZZLE_FORMATS = ['text', 'number', 'choice', 'ordering'];
+
+// Steps of every puzzle's hint ladder (PUZZLE_SCHEMA), and the seconds each one adds to the clock
+const HINT_LEVELS = 3;
+const DEFAULT_HINT_PENALTIES = [30, 60, 120];
 
 export class GeoAIGameMaster {
     /**
@@ -53,60 +112,201 @@ export class GeoAIGameMaster {
      * @param {Object} config - Configuration options
      * @param {string} config.apiKey - Gemini API Key (defaults to env var)
      * @param {boolean} config.hybridMode - Use local Gemini Nano when available (default: true)
-     * @param {string} config.theme - Game theme: 'cyberpunk' | 'fantasy' | 'mystery' (default: 'cyberpunk')
-     * @param {string} config.language - Output language: 'ja' | 'en' (default: 'ja')
+     * @param {string} config.theme - Game theme: 'cyberpunk' | 'fantasy' | 'mystery' (default: ?theme= or 'cyberpunk')
+     * @param {string} config.language - Output language: 'ja' | 'en' (default: ?lang= or 'ja')
      * @param {string} config.model - Gemini model to use (default: 'gemini-3-flash-preview')
-     * @param {Function} config.customSystemPrompt - Override default system prompt
+     * @param {string} config.providerName - 'gemini' | 'scripted' (default: ?ai= URL param or VITE_AI_PROVIDER)
+     * @param {Object} config.provider - Pre-built chat provider (see providers/index.js), overrides providerName
+     * @param {Object|null} config.edgeProvider - Edge provider for hybrid mode (default: Chrome Prompt API)
+     * @param {Function} config.onEdgeStatus - ({ state, progress }) => void, edge model availability
+     *        and download progress (see setEdgeStatusListener)
+     * @param {string|Function} config.customSystemPrompt - Override the game master's system prompt
+     *        (a function receives { theme, language, defaultPrompt, speaker } for every character)
+     * @param {number} config.puzzleRetries - Attempts per backend before falling back (default: 3)
+     * @param {number} config.tokenBudget - Max estimated chat history tokens per call (default: 6000)
+     * @param {number[]} config.hintPenalties - Seconds added to the clock per hint level 1-3 (default: [30, 60, 120])
+     * @param {Function} config.onUsage - Called with each call's usage entry (see _recordUsage)
+     * @param {Function} config.onTelemetry - Called with each call's telemetry event (see telemetry.js)
+     * @param {Object} config.skill - PlayerSkillModel options (initialSkill, learningRate, parSeconds, ...)
+     * @param {Function} config.buildingSource - (stage, radius) => building infos near the stage
+     *        (see buildings.findBuildingsNear); enables spatial puzzles
+     * @param {number} config.seed - Seed for offline puzzle bank selection (default: random)
+     * @param {Storage|null} config.storage - Where the bank remembers shown puzzles (default: localStorage)
+     * @param {Object} config.story - Story graph of choice points and endings (default: story.js STORY)
      */
     constructor(config = {}) {
         this.apiKey = config.apiKey || import.meta.env.VITE_GEMINI_API_KEY;
         this.hybridMode = config.hybridMode !== false;
-        this.theme = config.theme || 'cyberpunk';
-        this.language = config.language || 'ja';
         this.customSystemPrompt = config.customSystemPrompt || null;
+        this.setTheme(config.theme || getDefaultTheme(), config.language || getDefaultLanguage());
+        this.puzzleRetries = config.puzzleRetries || 3;
+        this.tokenBudget = config.tokenBudget || 6000;
+        this.hintPenalties = config.hintPenalties || DEFAULT_HINT_PENALTIES;
+        this.buildingSource = config.buildingSource || null;
+        this.onUsage = config.onUsage || null;
+        this.onEdgeStatus = config.onEdgeStatus || null;
 
-        if (this.apiKey) {
-            this.genAI = new GoogleGenerativeAI(this.apiKey);
-            this.cloudModel = this.genAI.getGenerativeModel({
-                model: config.model || 'gemini-3-flash-preview',
-                generationConfig: {
-                    temperature: config.temperature || 0.8,
-                    topK: config.topK || 40,
-                    topP: config.topP || 0.9,
-                    maxOutputTokens: config.maxOutputTokens || 2048,
-                },
-            });
+        // Edge model state: 'unavailable' | 'downloadable' | 'downloading' | 'ready'
+        this.edgeStatus = { state: 'unavailable', progress: null };
+
+        this.provider = config.provider || createProvider(config.providerName || getDefaultProviderName(), {
+            apiKey: this.apiKey,
+            model: config.model,
+            generationConfig: {
+                temperature: config.temperature || 0.8,
+                topK: config.topK || 40,
+                topP: config.topP || 0.9,
+                maxOutputTokens: config.maxOutputTokens || 2048,
+            },
+        });
+
+        // Scripted runs stay fully deterministic: no edge model unless one is injected
+        if (config.edgeProvider !== undefined) {
+            this.edgeProvider = config.edgeProvider;
+        } else {
+            this.edgeProvider = this.hybridMode && this.provider.name !== 'scripted'
+                ? new ChromePromptProvider({ onStatus: status => this._setEdgeStatus(status) })
+                : null;
         }
 
         this.chatSession = null;
         this.localAiSession = null;
+        // Pending or finished session setup (see _ensureSessions)
+        this.sessionSetup = null;
+
+        // The puzzle the player is currently solving (structured object)
+        this.currentPuzzle = null;
+
+        // Character behind the latest reply (templates.speakers id, see getSpeaker)
+        this.speaker = 'gm';
+
+        // Backend behind the latest reply (see getBackend)
+        this.backend = null;
+
+        // Current stage's progress, summarised into chat memory when it ends
+        this.stageRecord = null;
+
+        // Token usage per call: { calls: [entry], inputTokens, outputTokens }
+        this.usage = { calls: [], inputTokens: 0, outputTokens: 0 };
+
+        // Next stage generated in the background (see prefetchStage)
+        this.prefetched = null;
 
         // Dynamic difficulty state
-        this.consecutiveWrong = 0;
-        this.consecutiveCorrect = 0;
+        this.skillModel = new PlayerSkillModel(config.skill);
+
+        // Offline puzzles, hints and narration when every backend fails
+        this.puzzleBank = new PuzzleBank({ seed: config.seed, storage: config.storage });
+
+        // Choices made and flags set on the story graph
+        this.storyGraph = config.story;
+        this.story = new StoryState(this.storyGraph);
+
+        // Custom stage pack being played (null: the built-in campaign)
+        this.stagePack = null;
+
+        // Notable events for review (e.g. suspected prompt injection): { type, time, stageId, ... }
+        this.gameLog = [];
+
+        // One event per engine call; kept across restarts so a whole playtest can be exported
+        this.telemetry = new Telemetry({ onEvent: config.onTelemetry });
+        this.activeCall = null;
 
         // Player stats tracking
         this.playerStats = {
             totalCorrect: 0,
             totalWrong: 0,
             hintsUsed: 0,
+            hintPenaltySeconds: 0, // the whole run's, for the rank (kept until a new game)
             startTime: null
         };
     }
 
     /**
-     * Set up the AI sessions (Cloud and optionally Local)
+     * Switch theme / language. Takes effect for new sessions (call init() after).
+     * @param {string} theme - 'cyberpunk' | 'fantasy' | 'mystery'
+     * @param {string} language - 'ja' | 'en'
+     */
+    setTheme(theme, language = this.baseLanguage) {
+        this.baseTheme = theme;
+        this.baseLanguage = language;
+        this._applyTheme();
+    }
+
+    // A stage pack's metadata.theme / metadata.language win over setTheme while it is played
+    _applyTheme() {
+        const metadata = this.stagePack ? this.stagePack.metadata : {};
+        this.templates = getPromptTemplates(metadata.theme || this.baseTheme, metadata.language || this.baseLanguage);
+        this.theme = this.templates.theme;
+        this.language = this.templates.language;
+        if (this.stagePack) this.templates.fallbackBank = this.stagePack.fallbackPuzzles || {};
+    }
+
+    /**
+     * Play a stage pack (stagePacks.js). A custom pack's offline puzzles replace
+     * the built-in bank (stages without an entry get the generic fallback), and
+     * with no story graph its stages run in order to a single ending. The
+     * pack's metadata.theme and metadata.language, when set, replace the
+     * engine's own until another pack is played.
+     * Starts a new run; takes effect for new sessions (call init() after).
+     * @param {Object|null} pack - Validated pack; null or the built-in pack restores the default campaign
+     */
+    setStagePack(pack) {
+        this.stagePack = pack && !pack.builtin ? pack : null;
+        this.story = new StoryState(this.stagePack ? LINEAR_STORY : this.storyGraph);
+        this._applyTheme();
+        this._resetRun();
+    }
+
+    /**
+     * Start a new game: clear the previous run and set up the AI sessions
      */
     async init() {
-        this.consecutiveWrong = 0;
-        this.consecutiveCorrect = 0;
-
-        if (this.cloudModel) {
-            this.chatSession = this.cloudModel.startChat({
-                history: [
-                    { role: 'user', parts: [{ text: this._getSystemPrompt() }] },
-                    { role: 'model', parts: [{ text: 'ゲームマスターとして準備完了。東京脱出ゲームを開始します。' }] },
-                ],
+        this._resetRun();
+        if (this.provider.reset) this.provider.reset();
+        this.sessionSetup = this._setupSessions();
+        await this.sessionSetup;
+    }
+
+    // Only a new game (init, setStagePack) clears the run: skill, story flags and hint penalties last until then
+    _resetRun() {
+        this.skillModel.reset();
+        this.puzzleBank.reset();
+        this.story.reset();
+        this.currentPuzzle = null;
+        this.stageRecord = null;
+        this.prefetched = null;
+        this.speaker = 'gm';
+        this.backend = null;
+        this.playerStats.hintsUsed = 0;
+        this.playerStats.hintPenaltySeconds = 0;
+        this.gameLog = [];
+        this.usage = { calls: [], inputTokens: 0, outputTokens: 0 };
+    }
+
+    /**
+     * Set up the AI sessions once, for calls made without init(). Without a
+     * provider chatSession stays null and the offline fallbacks take over.
+     */
+    _ensureSessions() {
+        if (!this.sessionSetup) this.sessionSetup = this._setupSessions();
+        return this.sessionSetup;
+    }
+
+    /**
+     * Set up the AI sessions (main provider and optionally the edge provider)
+     */
+    async _setupSessions() {
+        this.chatSession = null;
+        if (await this.provider.isAvailable()) {
+            const { memory } = this.templates;
+            this.chatSession = new ChatMemory(this.provider, {
+                systemPrompt: this._getSystemPrompt(),
+                ready: this.templates.ready,
+                contextAck: memory.contextAck,
+                summaryHeader: memory.summaryHeader,
+                earlierSummary: memory.earlierSummary,
+                tokenBudget: this.tokenBudget,
             });
         }
 
@@ -114,180 +314,906 @@ export class GeoAIGameMaster {
         // Currently only available in Chrome Canary/Dev with flags enabled
         // When available: Zero-latency local evaluation, offline capability
         // When unavailable: Gracefully skipped, Cloud API handles everything
-        if (this.hybridMode && window.ai && window.ai.languageModel) {
+        // The model may first need a download: that runs in the background and
+        // the cloud handles everything until the edge session is ready
+        this.localAiSession = null;
+        if (this.edgeProvider) {
             try {
-                const capabilities = await window.ai.languageModel.capabilities();
-                if (capabilities.available === 'readily' || capabilities.available === 'after-download') {
-                    this.localAiSession = await window.ai.languageModel.create({
-                        systemPrompt: 'あなたは脱出ゲームの判定AIです。プレイヤーの回答が正解か不正解かを判定し、正解なら[CORRECT]、不正解なら[WRONG]という単語から文章を開始してください。表記ゆれは柔軟に許容します。'
-                    });
-                    console.log('Geo-AI Engine: Gemini Nano (window.ai) initialized for local edge processing.');
+                if (await this.edgeProvider.isAvailable()) {
+                    const ready = this._createEdgeSession();
+                    if (!this.edgeProvider.needsDownload || !this.edgeProvider.needsDownload()) await ready;
                 }
             } catch (error) {
-                console.warn('Geo-AI Engine: Failed to initialize window.ai fallback.', error);
+                console.warn('Geo-AI Engine: Failed to initialize edge provider.', error);
             }
         }
     }
 
-    _getSystemPrompt() {
-        return `あなたは「Tokyo Escape」のAIゲームマスター「AXIOM」。サイバーパンク風に短く簡潔に応答せよ。
+    async _createEdgeSession() {
+        try {
+            this.localAiSession = await this.edgeProvider.createChat({
+                systemPrompt: this.templates.edgeJudgeSystemPrompt
+            });
+            console.log(`Geo-AI Engine: ${this.edgeProvider.name} initialized for local edge processing.`);
+        } catch (error) {
+            console.warn('Geo-AI Engine: Failed to create edge session.', error);
+            this._setEdgeStatus({ state: 'unavailable', progress: null });
+        }
+    }
 
-ルール:
-- パズル出題時は[PUZZLE]で開始。答えは1単語〜1フレーズ。
-- 正解判定は[CORRECT]、不正解は[WRONG]で開始。表記ゆれは柔軟に許容。
-- ヒントは[HINT]で開始。段階的に具体化。
-- 全ての応答は2-4文で完結させること。長文禁止。`;
+    _setEdgeStatus(status) {
+        this.edgeStatus = status;
+        if (this.onEdgeStatus) this.onEdgeStatus(status);
     }
 
-    _extractResponseText(response) {
-        if (!response) return '';
-        try {
-            const candidates = response.candidates;
-            if (!candidates || candidates.length === 0) return '';
-            const content = candidates[0].content;
-            if (!content || !content.parts) return '';
-            const parts = content.parts;
-            // Get all text parts (filter out thought blocks from thinking models)
-            const textParts = parts.filter(p => p.text && !p.thought);
-            if (textParts.length === 0) {
-                // Fallback: try to get any text
-                const anyText = parts.find(p => p.text);
-                return anyText ? anyText.text : '';
-            }
-            return textParts.map(p => p.text).join('\n');
-        } catch (err) {
-            console.warn('GeoAI: Error extracting response text', err);
-            return '';
+    /**
+     * Follow the edge model's availability and download progress
+     * @param {Function} listener - ({ state, progress }) => void; called at once with the current status
+     */
+    setEdgeStatusListener(listener) {
+        this.onEdgeStatus = listener;
+        if (listener) listener(this.edgeStatus);
+    }
+
+    /**
+     * Backend behind the latest (or currently streaming) reply:
+     * 'local' (matcher, hint ladder, spatial puzzles), 'edge', 'cloud' or 'fallback' (offline bank, canned text)
+     */
+    getBackend() {
+        return this.backend;
+    }
+
+    _setBackend(backend) {
+        this.backend = backend;
+        return backend;
+    }
+
+    /**
+     * Provide buildings for spatial puzzles (the engine itself has no map access)
+     * @param {Function} source - (stage, radius) => building info[] (may return a Promise)
+     */
+    setBuildingSource(source) {
+        this.buildingSource = source;
+    }
+
+    /**
+     * System prompt of a character. A fixed customSystemPrompt replaces the
+     * game master's only; guest characters keep their persona.
+     * @param {string} speakerId - templates.speakers id (default: 'gm')
+     */
+    _getSystemPrompt(speakerId = 'gm') {
+        const speaker = this.templates.speakers[speakerId] || this.templates.speakers.gm;
+        const defaultPrompt = this.templates.systemPrompt(speaker);
+        if (typeof this.customSystemPrompt === 'function') {
+            return this.customSystemPrompt({ theme: this.theme, language: this.language, defaultPrompt, speaker: speaker.id });
         }
+        return (speaker.id === 'gm' && this.customSystemPrompt) || defaultPrompt;
+    }
+
+    /**
+     * Character a stage assigns to a kind of reply (stage.characters), 'gm' by default
+     * @param {'puzzle' | 'hint' | 'evaluate' | 'narration'} kind
+     */
+    _getSpeakerId(kind, stage) {
+        const id = stage && stage.characters ? stage.characters[kind] : null;
+        return id && this.templates.speakers[id] ? id : 'gm';
+    }
+
+    _setSpeaker(id) {
+        if (id !== this.speaker) this._logEvent('speaker', { from: this.speaker, to: id });
+        this.speaker = id;
+        return id;
+    }
+
+    /**
+     * Character behind the latest (or currently streaming) reply
+     * @returns {{ id, name, role, style, persona }}
+     */
+    getSpeaker() {
+        return this.templates.speakers[this.speaker] || this.templates.speakers.gm;
+    }
+
+    /**
+     * Current skill estimate (0-1). While a stage is in progress this already
+     * reflects its wrong attempts, hints and elapsed time.
+     */
+    getSkillEstimate() {
+        return this._getLiveSkill();
+    }
+
+    /**
+     * Skill band: 'novice' | 'struggling' | 'steady' | 'skilled' | 'expert'
+     */
+    getSkillTier() {
+        return this.skillModel.getTier(this._getLiveSkill());
+    }
+
+    /**
+     * Override the skill estimate (e.g. tests, or a difficulty picker); it
+     * holds until later stages move it or a new game resets it
+     * @param {number} skill - 0-1
+     */
+    setSkill(skill) {
+        this.skillModel.skill = Math.min(1, Math.max(0, skill));
+        this._refreshPrefetch();
+    }
+
+    _getStageResult(solved) {
+        const record = this.stageRecord;
+        return {
+            stageId: record.stage.id,
+            difficulty: record.stage.difficulty,
+            solveSeconds: (Date.now() - record.startedAt) / 1000,
+            hintLevel: record.hintLevel,
+            wrongAttempts: record.wrongAttempts,
+            solved,
+        };
+    }
+
+    _getLiveSkill() {
+        if (!this.stageRecord || this.stageRecord.closed) return this.skillModel.skill;
+        return this.skillModel.project(this._getStageResult(true));
     }
 
     /**
-     * Dynamic difficulty adjustment based on player performance
+     * Dynamic difficulty adjustment based on the player skill estimate
      *
-     * Current branching:
-     * - 3+ consecutive wrong → Very easy (direct hints)
-     * - 2 consecutive wrong  → Easier
-     * - 3+ consecutive right → Hard (multi-step reasoning)
-     * - Otherwise           → Normal
+     * Tiers (skillModel.getTier):
+     * - novice     → Very easy (direct clue)
+     * - struggling → Easier
+     * - steady     → Normal
+     * - skilled    → One extra twist
+     * - expert     → Hard (multi-step reasoning)
      *
-     * Extensible: Add time-based, hint-based, or stage-specific modifiers
+     * @param {number} skill - Skill estimate (default: current live estimate)
      */
-    _getDifficultyModifier() {
-        if (this.consecutiveWrong >= 3) return '(難易度調整: プレイヤーが苦戦中。直接的なヒントを含む非常に簡単なパズルにしてください)';
-        if (this.consecutiveWrong >= 2) return '(難易度調整: やや易しめに)';
-        if (this.consecutiveCorrect >= 3) return '(難易度調整: プレイヤーが好調。複数の知識を組み合わせる難しいパズルにしてください)';
-        return '';
+    _getDifficultyModifier(skill = this._getLiveSkill()) {
+        return this.templates.difficulty[this.skillModel.getTier(skill)];
+    }
+
+    _getPerformanceLabel(skill = this._getLiveSkill()) {
+        return this.templates.performance[this.skillModel.getTier(skill)];
     }
 
     /**
      * Generate a contextual puzzle using Cloud AI (requires heavy context)
+     *
+     * Returns a structured puzzle object:
+     * { stageId, question, answer, acceptedAliases, format, hints[3], sourceFacts, source }
+     * Output that fails PUZZLE_SCHEMA is retried with the validation errors fed back.
      */
     async generatePuzzle(stage) {
-        if (!this.chatSession) await this.init();
+        return this._trackCall('generatePuzzle', () => this._generatePuzzle(stage), stage.id);
+    }
+
+    async _generatePuzzle(stage) {
+        await this._ensureSessions();
 
-        const diffMod = this._getDifficultyModifier();
-        const prompt = `[パズル生成] ${stage.name}
-難易度: ${stage.difficulty}/5
-データ: ${stage.puzzleContext.substring(0, 500)}
+        const prefetched = await this._takePrefetchedPuzzle(stage);
+        if (prefetched) {
+            this.telemetry.noteCached(this.activeCall);
+            return this._setCurrentPuzzle(stage, prefetched);
+        }
 
-上記データから1問出題。答えは1単語。2-3文で簡潔に。${diffMod}`;
+        if (this._isSpatialStage(stage)) {
+            const puzzle = await this._generateSpatialPuzzle(stage);
+            if (puzzle) return this._setCurrentPuzzle(stage, puzzle);
+            this._noteFallback('spatial-failed');
+        }
 
-        try {
-            const result = await this.chatSession.sendMessage(prompt);
-            const text = this._extractResponseText(result.response);
-            if (!text || text.length < 10) {
-                console.warn('GeoAI: Empty or short response, using fallback');
-                return this._getFallbackPuzzle(stage);
+        const prompt = this._getPuzzlePrompt(stage);
+
+        if (this.chatSession) {
+            try {
+                const puzzle = await this._requestPuzzle(stage, prompt, (text, label) => this._send(this.chatSession, text, label));
+                if (puzzle) return this._setCurrentPuzzle(stage, { ...puzzle, source: 'cloud' });
+                this._noteFallback('cloud-invalid');
+            } catch (error) {
+                console.error('GeoAIGameMaster Engine: Cloud API error.', error);
+                this._noteFallback('cloud-error', error);
             }
-            return text;
+        } else {
+            this._noteFallback('offline');
+        }
+
+        // Hybrid fallback logic
+        if (this.localAiSession) {
+            console.log('GeoAIGameMaster: Falling back to Gemini Nano for puzzle generation...');
+            try {
+                const puzzle = await this._requestPuzzle(stage, prompt, (text, label) => this._send(this.localAiSession, text, label));
+                if (puzzle) return this._setCurrentPuzzle(stage, { ...puzzle, source: 'edge' });
+                this._noteFallback('edge-invalid');
+            } catch (e) {
+                console.error('GeoAIGameMaster Engine: Edge API fallback also failed.', e);
+                this._noteFallback('edge-error', e);
+            }
+        }
+
+        return this._setCurrentPuzzle(stage, this._getFallbackPuzzle(stage));
+    }
+
+    _isSpatialStage(stage) {
+        return !!(stage.spatialPuzzle && this.buildingSource);
+    }
+
+    /**
+     * Build a "find the building" puzzle from the buildings around the stage.
+     * Falls back to a regular puzzle (null) when too few buildings are loaded.
+     */
+    async _generateSpatialPuzzle(stage) {
+        try {
+            const buildings = await this.buildingSource(stage, stage.spatialPuzzle.radius || 300);
+            const puzzle = buildSpatialPuzzle(stage, buildings || [], this.templates);
+            if (puzzle) return { ...puzzle, source: 'spatial' };
+            console.warn(`GeoAI: Not enough building data near stage ${stage.id} for a spatial puzzle`);
         } catch (error) {
-            console.error('GeoAIGameMaster Engine: Cloud API error.', error);
-            // Hybrid fallback logic
-            if (this.localAiSession) {
-                try {
-                    console.log('GeoAIGameMaster: Falling back to Gemini Nano for puzzle generation...');
-                    const localResponse = await this.localAiSession.prompt(prompt + " [PUZZLE]というタグから始めて出題してください。");
-                    if (localResponse && localResponse.length > 10) return localResponse;
-                } catch (e) {
-                    console.error('GeoAIGameMaster Engine: Edge API fallback also failed.', e);
-                }
+            console.warn('GeoAI: Spatial puzzle generation failed', error);
+        }
+        return null;
+    }
+
+    /**
+     * Procedurally build a stage around a coordinate (see stageGenerator.js).
+     * Needs a building source, and the map must have the area's tiles loaded.
+     * @param {{ longitude, latitude }} location
+     * @param {Object} options - { radius (sampling radius, default 300), difficulty (1-5, default 3) }
+     * @returns {Promise<{ stage: Object|null, errors: string[] }>}
+     */
+    async generateStage(location, options = {}) {
+        return this._trackCall('generateStage', () => this._generateStage(location, options));
+    }
+
+    async _generateStage(location, options) {
+        this._setBackend('local');
+        if (!this.buildingSource) return { stage: null, errors: ['no building source (see setBuildingSource)'] };
+
+        const radius = options.radius || 300;
+        let buildings;
+        try {
+            buildings = (await this.buildingSource({ id: 'generated', location }, radius)) || [];
+        } catch (error) {
+            console.warn('GeoAI: Building lookup for stage generation failed', error);
+            return { stage: null, errors: [`building lookup failed: ${error.message}`] };
+        }
+
+        const { stage: draft, errors } = draftStage(location, buildings, { radius, difficulty: options.difficulty });
+        if (!draft) return { stage: null, errors };
+
+        const facts = summarizeBuildings(buildings);
+        const lines = this.templates.stageFacts(facts, draft);
+        let text = await this._requestStageText(draft, lines);
+        if (text) {
+            this._setBackend('cloud');
+        } else {
+            this._setBackend('fallback');
+            text = this.templates.stageFallback({ stage: draft, facts, lines });
+        }
+
+        const stage = { ...draft, ...text };
+        const stageErrors = validateStage(stage);
+        if (stageErrors.length > 0) return { stage: null, errors: stageErrors };
+
+        this._logEvent('stageGenerated', { generatedId: stage.id, buildings: facts.count });
+        return { stage, errors: [] };
+    }
+
+    /**
+     * Ask the cloud backend for a generated stage's text (outside the chat scope)
+     * @returns {Promise<Object|null>} null when offline or every attempt was invalid
+     */
+    async _requestStageText(draft, lines) {
+        if (!this.chatSession) {
+            this._noteFallback('offline');
+            return null;
+        }
+
+        const prompt = this.templates.stagePrompt({ lines });
+        let request = prompt;
+        try {
+            for (let attempt = 0; attempt < this.puzzleRetries; attempt++) {
+                const { text } = await this._promptDetached(request, { kind: 'stage', key: draft.id });
+                const { stageText, errors } = parseStageText(text);
+                if (stageText) return stageText;
+
+                console.warn(`GeoAI: Stage text attempt ${attempt + 1} failed validation`, errors);
+                request = `${prompt}\n\n${this.templates.puzzleRetry(errors)}`;
             }
-            return this._getFallbackPuzzle(stage);
+            this._noteFallback('cloud-invalid');
+        } catch (error) {
+            console.warn('GeoAI: Stage text generation failed', error);
+            this._noteFallback('cloud-error', error);
+        }
+        return null;
+    }
+
+    /**
+     * Ask a backend for a puzzle until it passes PUZZLE_SCHEMA (up to puzzleRetries).
+     * Validation errors are fed back on retry. Backend errors propagate.
+     * @returns {Promise<Object|null>} normalized puzzle, or null if every attempt was invalid
+     */
+    async _requestPuzzle(stage, prompt, send) {
+        let request = prompt;
+        for (let attempt = 0; attempt < this.puzzleRetries; attempt++) {
+            const { text } = await send(request, { kind: 'puzzle', key: stage.id, speaker: this._getSpeakerId('puzzle', stage) });
+            const { puzzle, errors } = parsePuzzle(text, stage);
+            if (puzzle) return puzzle;
+
+            console.warn(`GeoAI: Puzzle attempt ${attempt + 1} failed validation`, errors);
+            request = `${prompt}\n\n${this.templates.puzzleRetry(errors)}`;
+        }
+        return null;
+    }
+
+    _getPuzzlePrompt(stage, skill = this._getLiveSkill()) {
+        return this.templates.puzzlePrompt({
+            stage,
+            difficultyModifier: this._getDifficultyModifier(skill),
+            formats: this._getPuzzleFormats(stage),
+        });
+    }
+
+    /**
+     * Formats the model may choose from for a stage: stage.puzzleFormats, else
+     * DEFAULT_PUZZLE_FORMATS. 'building' is never requested from the model.
+     */
+    _getPuzzleFormats(stage) {
+        const formats = (stage.puzzleFormats || DEFAULT_PUZZLE_FORMATS)
+            .filter(format => PUZZLE_FORMATS.includes(format) && format !== 'building');
+        return formats.length > 0 ? formats : DEFAULT_PUZZLE_FORMATS;
+    }
+
+    /**
+     * Generate the next stage's puzzle (with its hint ladder) and transition
+     * narration in the background while the current stage is played.
+     * generatePuzzle / generateNarration serve them from this cache.
+     *
+     * Both are generated for the skill the player would have after clearing
+     * the current stage now. A wrong answer that changes the predicted difficulty
+     * modifier (or a hint that changes the narration inputs) restarts the
+     * prefetch; anything still stale when consumed is discarded.
+     *
+     * Uses single-shot prompts so the live chat scope is not touched.
+     * @param {Object} stage - Stage to prefetch
+     * @param {Object} fromStage - Stage currently being played (for narration)
+     */
+    prefetchStage(stage, fromStage = null) {
+        if (!stage || !this.chatSession) return;
+
+        this.prefetched = { stage, fromStage, puzzle: null, narration: null };
+        this._startPuzzlePrefetch();
+        if (fromStage) this._startNarrationPrefetch();
+    }
+
+    _startPuzzlePrefetch() {
+        const entry = this.prefetched;
+        // Spatial puzzles need the stage's tiles loaded: built on arrival instead
+        if (this._isSpatialStage(entry.stage)) return;
+
+        const skill = this._getLiveSkill();
+        const difficultyModifier = this._getDifficultyModifier(skill);
+        const prompt = this._getPuzzlePrompt(entry.stage, skill);
+
+        const call = this.telemetry.begin('prefetchPuzzle', entry.stage.id);
+        const promise = this._requestPuzzle(entry.stage, prompt, (text, label) => this._promptDetached(text, label, call))
+            .then(puzzle => {
+                if (!puzzle) this.telemetry.noteFallback(call, 'cloud-invalid');
+                this.telemetry.end(call, 'cloud');
+                return puzzle && { ...puzzle, source: 'cloud' };
+            })
+            .catch(error => {
+                console.warn('GeoAI: Puzzle prefetch failed', error);
+                this.telemetry.end(call, 'cloud', error);
+                return null;
+            });
+        entry.puzzle = { difficultyModifier, promise };
+    }
+
+    _startNarrationPrefetch() {
+        const entry = this.prefetched;
+        const skill = this._getLiveSkill();
+        const key = this._getNarrationKey(skill, this.playerStats.hintsUsed);
+        const prompt = this._getNarrationPrompt(entry.fromStage, entry.stage, skill, this.playerStats.hintsUsed);
+
+        const label = { kind: 'narration', key: entry.stage.id, speaker: this._getSpeakerId('narration', entry.stage) };
+        const call = this.telemetry.begin('prefetchNarration', entry.stage.id);
+        const promise = this._promptDetached(prompt, label, call)
+            .then(({ text }) => {
+                this.telemetry.end(call, 'cloud');
+                return text || null;
+            })
+            .catch(error => {
+                console.warn('GeoAI: Narration prefetch failed', error);
+                this.telemetry.end(call, 'cloud', error);
+                return null;
+            });
+        entry.narration = { key, promise };
+    }
+
+    /**
+     * Restart any prefetch whose inputs no longer match the predicted state
+     */
+    _refreshPrefetch() {
+        const entry = this.prefetched;
+        if (!entry) return;
+
+        const skill = this._getLiveSkill();
+        if (entry.puzzle && entry.puzzle.difficultyModifier !== this._getDifficultyModifier(skill)) {
+            this._startPuzzlePrefetch();
+        }
+        if (entry.narration && entry.narration.key !== this._getNarrationKey(skill, this.playerStats.hintsUsed)) {
+            this._startNarrationPrefetch();
+        }
+    }
+
+    async _takePrefetchedPuzzle(stage) {
+        const entry = this.prefetched;
+        if (!entry || !entry.puzzle || entry.stage.id !== stage.id) return null;
+
+        const { difficultyModifier, promise } = entry.puzzle;
+        entry.puzzle = null;
+        if (difficultyModifier !== this._getDifficultyModifier()) return null;
+        return promise;
+    }
+
+    async _takePrefetchedNarration(toStage, hintsUsed) {
+        const entry = this.prefetched;
+        if (!entry || !entry.narration || entry.stage.id !== toStage.id) return null;
+
+        const { key, promise } = entry.narration;
+        entry.narration = null;
+        if (key !== this._getNarrationKey(this._getLiveSkill(), hintsUsed)) return null;
+        return promise;
+    }
+
+    /**
+     * Single-shot call outside the chat scope (the speaker's system prompt and
+     * story summary prepended)
+     * @param {Object} call - Telemetry call the request counts towards (default: the active call)
+     */
+    async _promptDetached(text, label, call = this.activeCall) {
+        this.telemetry.noteRequest(call);
+        const result = await this.chatSession.prompt(text, label, this._getSystemPrompt(label.speaker));
+        this._recordUsage(label, result.usage, text, result.text, 'cloud', call);
+        return result;
+    }
+
+    /**
+     * Make a puzzle current and open its chat scope. A previous stage that
+     * was never cleared (e.g. skipped) is summarised as unsolved.
+     */
+    _setCurrentPuzzle(stage, puzzle) {
+        this._closeStage(false);
+        puzzle = { ...puzzle, speaker: this._setSpeaker(this._getSpeakerId('puzzle', stage)) };
+        this._setBackend(puzzle.source === 'spatial' ? 'local' : puzzle.source);
+        this.currentPuzzle = puzzle;
+        this.stageRecord = { stage, puzzle, startedAt: Date.now(), wrongAttempts: 0, hintsUsed: 0, hintLevel: 0, closed: false };
+        if (this.chatSession) {
+            this.chatSession.beginScope(stage.id, this.templates.memory.currentPuzzle(puzzle));
         }
+        return puzzle;
     }
 
     /**
-     * Evaluate the answer. Prefers local Gemini Nano (window.ai) for zero-latency processing.
+     * Feed the current stage into the skill model, summarise it into chat
+     * memory and leave its scope
+     * @param {boolean} solved
      */
-    async evaluateAnswer(answer, expectedContext = "") {
-        if (!this.chatSession && !this.localAiSession) return '[WRONG] [AXIOM] 神経リンク切断。再接続を試みよ。';
+    _closeStage(solved) {
+        const record = this.stageRecord;
+        if (!record || record.closed) return;
+        this.skillModel.recordStage(this._getStageResult(solved));
+        record.closed = true;
+        if (this.chatSession) {
+            this.chatSession.addSummary(this.templates.memory.stageSummary({ ...record, solved }));
+            this.chatSession.beginScope('interlude');
+        }
+    }
+
+    _getExpectedAnswerText() {
+        return this.currentPuzzle ? this.templates.expectedAnswer(this.currentPuzzle) : '';
+    }
+
+    /**
+     * Evaluate the answer.
+     *
+     * 1. Deterministic local matcher (answerMatcher.js) against the current puzzle:
+     *    normalized aliases and numbers-with-units are judged instantly, even offline.
+     * 2. Only answers the matcher reports as 'ambiguous' reach an AI judge,
+     *    preferring local Gemini Nano (window.ai) for zero-latency processing.
+     *    The answer is escaped and delimited, and the judge must return a JSON
+     *    verdict; malformed replies count as failures, never as a pass.
+     * 3. Answers that look like prompt injection are logged to gameLog and
+     *    never reach the AI judge.
+     * Closed formats (choice, ordering, pin) are always settled in step 1. Input
+     * that does not fit the puzzle's format is returned as 'invalid' with a
+     * format hint and does not count as an attempt.
+     *
+     * @param {string|string[]|Object} answer - Player's answer: text, the items of an
+     *        ordering puzzle in the chosen order, or a pin { longitude, latitude }
+     * @param {Object} options
+     * @param {Function} options.onToken - (chunk, textSoFar) => void, receives the verdict message.
+     *        AI verdicts are held back until they parse, so the player never sees
+     *        (or hears) a reply that is then discarded for the next backend or retry.
+     * @returns {Promise<{ verdict: 'correct' | 'wrong' | 'invalid', message: string, suspectedInjection: string[], speaker: string, backend: string }>}
+     */
+    async evaluateAnswer(answer, options = {}) {
+        const stream = this._createTokenStream(options.onToken);
+        const result = await this._trackCall('evaluateAnswer', () => this._evaluateAnswer(answer));
+        stream.finish(result.message);
+        return result;
+    }
+
+    async _evaluateAnswer(answer) {
+        const { messages, formats } = this.templates;
+        const suspectedInjection = typeof answer === 'string' ? detectInjection(answer) : [];
+        const verdictOf = (verdict, message, backend = this.backend) => ({
+            verdict, message, suspectedInjection, speaker: this.speaker, backend: this._setBackend(backend),
+        });
+
+        // Canned and edge verdicts come from the game master; the stage's
+        // judge character (if any) only speaks through the cloud
+        this._setSpeaker('gm');
+
+        if (suspectedInjection.length > 0) {
+            this._logEvent('injection', { answer, reasons: suspectedInjection });
+            console.warn('GeoAI: Suspected prompt injection in answer', suspectedInjection);
+        }
+
+        const local = matchAnswer(answer, this.currentPuzzle);
+        if (local.verdict === 'invalid') {
+            return verdictOf('invalid', formats.invalid[this.currentPuzzle.format] || messages.wrong, 'local');
+        }
+        if (local.verdict === 'correct') {
+            this._updateDifficultyStats('correct');
+            return verdictOf('correct', messages.correct(this.currentPuzzle.answer), 'local');
+        }
+        if (local.verdict === 'wrong') {
+            this._updateDifficultyStats('wrong');
+            const message = local.distance !== undefined
+                ? formats.pinMiss(Math.round(local.distance / 10) * 10)
+                : messages.wrong;
+            return verdictOf('wrong', message, 'local');
+        }
+
+        if (!this.currentPuzzle) return verdictOf('wrong', messages.disconnected, 'fallback');
+        if (typeof answer !== 'string') {
+            this._updateDifficultyStats('wrong');
+            return verdictOf('wrong', messages.unmatched, 'local');
+        }
+        if (suspectedInjection.length > 0) {
+            this._updateDifficultyStats('wrong');
+            return verdictOf('wrong', messages.tampered, 'local');
+        }
+        if (!this.chatSession && !this.localAiSession) {
+            this._updateDifficultyStats('wrong');
+            this._noteFallback('offline');
+            return verdictOf('wrong', messages.unmatched, 'fallback');
+        }
+
+        const judgeInput = { expected: this._getExpectedAnswerText(), answer: escapePlayerAnswer(answer) };
 
         // HYBRID AI ARCHITECTURE: Use explicit local edge processing when available
         if (this.localAiSession) {
             try {
                 console.log('Geo-AI Engine: Using Zero-Latency Local Processing (Gemini Nano) for evaluation.');
-                const prompt = `プレイヤーの回答: 「${answer}」\n想定されるコンテキスト情報を加味して、この回答が論理的に正解か不正解かを判定してください。\n正解なら[CORRECT]、不正解なら[WRONG]から始めてください。`;
-
-                const response = await this.localAiSession.prompt(prompt);
+                const prompt = this.templates.evaluateEdgePrompt(judgeInput);
 
-                this._updateDifficultyStats(response);
-                return response;
+                const { text } = await this._send(this.localAiSession, prompt, this._getEvaluateCallLabel());
+                const result = parseVerdict(text);
+                if (result) {
+                    this._updateDifficultyStats(result.verdict);
+                    return verdictOf(result.verdict, result.message);
+                }
+                console.warn('GeoAI: Edge judge returned a malformed verdict, falling back to Cloud...');
+                this._noteFallback('edge-invalid');
             } catch (e) {
                 console.warn('Geo-AI Engine: Local evaluation failed, falling back to Cloud...', e);
+                this._noteFallback('edge-error', e);
             }
         }
 
         // Cloud Processing Fallback with retry
-        const prompt = `プレイヤーの回答: 「${answer}」
-この回答が正しいか判定してください。表記ゆれは柔軟に許容してください。
-正解なら[CORRECT]、不正解なら[WRONG]を先頭につけてください。`;
+        const prompt = this.templates.evaluatePrompt(judgeInput);
+        const speaker = this._setSpeaker(this._getSpeakerId('evaluate', this.stageRecord && this.stageRecord.stage));
 
         for (let attempt = 0; attempt < 2; attempt++) {
             try {
-                const result = await this.chatSession.sendMessage(prompt);
-                const text = this._extractResponseText(result.response);
-                if (text && text.length > 5) {
-                    this._updateDifficultyStats(text);
-                    return text;
+                const { text } = await this._send(this.chatSession, prompt, this._getEvaluateCallLabel(speaker));
+                const result = parseVerdict(text);
+                if (result) {
+                    this._updateDifficultyStats(result.verdict);
+                    return verdictOf(result.verdict, result.message);
                 }
+                console.warn(`GeoAI: Evaluation attempt ${attempt + 1} returned a malformed verdict`);
+                this._noteFallback('cloud-invalid');
             } catch (error) {
                 console.error(`GeoAI: Evaluation attempt ${attempt + 1} failed`, error);
+                this._noteFallback('cloud-error', error);
                 if (attempt === 0) await new Promise(r => setTimeout(r, 500));
             }
         }
-        return '[WRONG] [AXIOM] データストリーム不安定。回答を再送信せよ。';
+        this._setSpeaker('gm');
+        return verdictOf('wrong', messages.unstable, 'fallback');
+    }
+
+    /**
+     * Judge a clicked building against the current spatial puzzle by feature id
+     * @param {Object} buildingInfo - From buildings.js (needs `id`)
+     * @param {Object} options - { onToken } (see evaluateAnswer)
+     * @returns {Promise<{ verdict: 'correct' | 'wrong', message: string, suspectedInjection: string[], speaker: string, backend: string }>}
+     */
+    async evaluateBuildingSelection(buildingInfo, options = {}) {
+        const stream = this._createTokenStream(options.onToken);
+        const result = await this._trackCall('evaluateBuildingSelection', () => this._evaluateBuildingSelection(buildingInfo));
+        stream.finish(result.message);
+        return result;
+    }
+
+    _evaluateBuildingSelection(buildingInfo) {
+        const { messages, spatial } = this.templates;
+        this._setSpeaker('gm');
+        this._setBackend('local');
+
+        let result;
+        if (!this.currentPuzzle || this.currentPuzzle.format !== 'building') {
+            result = { verdict: 'wrong', message: messages.wrong, suspectedInjection: [], speaker: 'gm', backend: 'local' };
+        } else {
+            const verdict = matchBuilding(buildingInfo, this.currentPuzzle) ? 'correct' : 'wrong';
+            this._updateDifficultyStats(verdict);
+            const message = verdict === 'correct' ? messages.correct(spatial.buildingLabel(buildingInfo)) : messages.wrong;
+            result = { verdict, message, suspectedInjection: [], speaker: 'gm', backend: 'local' };
+        }
+        return result;
+    }
+
+    /**
+     * Send a prompt to a chat session, streaming chunks to onToken when given.
+     * On the shared chat memory, label.speaker picks the system prompt.
+     */
+    async _send(session, prompt, label, onToken) {
+        if (!session) throw new Error('GeoAI: no chat session');
+        const cloud = session === this.chatSession;
+        const systemPrompt = cloud ? this._getSystemPrompt(label.speaker) : undefined;
+        const backend = this._setBackend(cloud ? 'cloud' : 'edge');
+        const call = this.activeCall;
+        this.telemetry.noteRequest(call);
+        if (!onToken) {
+            const result = await session.send(prompt, label, systemPrompt);
+            this._recordUsage(label, result.usage, prompt, result.text, backend, call);
+            return result;
+        }
+
+        const iterator = session.sendStream(prompt, label, systemPrompt)[Symbol.asyncIterator]();
+        let text = '';
+        let step;
+        while (!(step = await iterator.next()).done) {
+            text += step.value;
+            this.telemetry.noteFirstToken(call);
+            onToken(step.value, text);
+        }
+        const usage = step.value || null;
+        this._recordUsage(label, usage, prompt, text, backend, call);
+        return { text, usage };
+    }
+
+    /**
+     * Record one call's token usage (estimated when the backend reports none)
+     * and report it through config.onUsage. The tokens also count towards the telemetry call.
+     * Entry: { kind, key, backend, inputTokens, outputTokens, historyTokens, estimated, time }
+     */
+    _recordUsage(label = {}, usage, prompt, text, backend = 'cloud', call = this.activeCall) {
+        const entry = {
+            kind: label.kind || 'default',
+            key: String(label.key !== undefined ? label.key : 'default'),
+            backend,
+            inputTokens: usage ? usage.inputTokens : estimateTokens(prompt),
+            outputTokens: usage ? usage.outputTokens : estimateTokens(text),
+            historyTokens: usage && usage.historyTokens !== undefined ? usage.historyTokens : 0,
+            estimated: usage ? !!usage.estimated : true,
+            time: Date.now(),
+        };
+        this.usage.calls.push(entry);
+        this.usage.inputTokens += entry.inputTokens;
+        this.usage.outputTokens += entry.outputTokens;
+
+        this.telemetry.noteUsage(call, entry);
+        if (this.onUsage) this.onUsage(entry);
+        return entry;
+    }
+
+    /**
+     * Wrap an onToken callback so results that were not streamed
+     * (local matcher, hint ladder, prefetch cache, fallbacks) are still
+     * delivered through it once, as a single chunk.
+     */
+    _createTokenStream(onToken) {
+        let streamed = false;
+        return {
+            onToken: onToken ? (chunk, text) => {
+                streamed = true;
+                onToken(chunk, text);
+            } : null,
+            finish(text) {
+                if (onToken && !streamed && text) onToken(text, text);
+                return text;
+            },
+        };
+    }
+
+    _getEvaluateCallLabel(speaker = 'gm') {
+        return { kind: 'evaluate', key: this.currentPuzzle ? this.currentPuzzle.stageId : 'default', speaker };
+    }
+
+    /**
+     * Run one public call as a telemetry call: requests, tokens and fallbacks
+     * made while it runs count towards it; the event is emitted when it ends
+     * with the backend that produced the result.
+     */
+    async _trackCall(method, run, stageId = this.currentPuzzle ? this.currentPuzzle.stageId : null) {
+        const call = this.telemetry.begin(method, stageId);
+        const previous = this.activeCall;
+        this.activeCall = call;
+        try {
+            const result = await run();
+            this.telemetry.end(call, this.backend);
+            return result;
+        } catch (error) {
+            this.telemetry.end(call, this.backend, error);
+            throw error;
+        } finally {
+            if (this.activeCall === call) this.activeCall = previous;
+        }
+    }
+
+    _noteFallback(reason, error = null) {
+        this.telemetry.noteFallback(this.activeCall, reason, error);
+    }
+
+    /**
+     * Follow telemetry as it is recorded
+     * @param {Function|null} listener - (event) => void (see telemetry.js)
+     */
+    setTelemetryListener(listener) {
+        this.telemetry.onEvent = listener;
+    }
+
+    /**
+     * Telemetry of the session so far, ready for JSON.stringify
+     */
+    exportTelemetry() {
+        return this.telemetry.toJSON({
+            provider: this.provider.name,
+            edgeProvider: this.edgeProvider ? this.edgeProvider.name : null,
+            edgeStatus: this.edgeStatus.state,
+            theme: this.theme,
+            language: this.language,
+        });
     }
 
-    _updateDifficultyStats(text) {
-        if (text.includes('[CORRECT]')) {
-            this.consecutiveCorrect++;
-            this.consecutiveWrong = 0;
+    _logEvent(type, detail = {}) {
+        this.gameLog.push({
+            type,
+            time: Date.now(),
+            stageId: this.currentPuzzle ? this.currentPuzzle.stageId : null,
+            ...detail,
+        });
+    }
+
+    /**
+     * @param {'correct' | 'wrong'} verdict
+     */
+    _updateDifficultyStats(verdict) {
+        if (verdict === 'correct') {
+            this.playerStats.totalCorrect++;
+            this._closeStage(true);
         } else {
-            this.consecutiveWrong++;
-            this.consecutiveCorrect = 0;
+            this.playerStats.totalWrong++;
+            if (this.stageRecord) this.stageRecord.wrongAttempts++;
+            this._refreshPrefetch();
         }
     }
 
     /**
-     * Request a hint. Can fall back to local AI.
+     * Hint ladder state of the current stage and the run's time penalty.
+     * Levels below the highest one revealed count as used.
+     * @returns {{ revealed: number, remaining: number, total: number, nextLevel: number|null,
+     *             nextPenalty: number, penaltySeconds: number }}
      */
-    async requestHint(hintLevel) {
-        if (!this.chatSession) return '[HINT] システムオフライン。';
+    getHintStatus() {
+        const revealed = this._getRevealedHintLevel();
+        const nextLevel = revealed < HINT_LEVELS ? this._getNextHintLevel(revealed + 1) : null;
+        return {
+            revealed,
+            remaining: HINT_LEVELS - revealed,
+            total: HINT_LEVELS,
+            nextLevel,
+            nextPenalty: nextLevel ? this._getHintPenalty(nextLevel) : 0,
+            penaltySeconds: this.playerStats.hintPenaltySeconds,
+        };
+    }
 
-        const prompt = `プレイヤーがヒントを要求中。段階: ${hintLevel}/3
-段階${hintLevel}のヒントを提供してください([HINT]タグ付与)。`;
+    _getRevealedHintLevel() {
+        return this.stageRecord ? this.stageRecord.hintLevel : 0;
+    }
+
+    /**
+     * Level actually revealed for a request: never one already shown, so every
+     * level counted by getHintStatus can be bought one click at a time
+     */
+    _getNextHintLevel(hintLevel) {
+        const requested = Math.max(hintLevel || 0, this._getRevealedHintLevel() + 1);
+        return Math.min(requested, HINT_LEVELS);
+    }
+
+    _getHintPenalty(level) {
+        return this.hintPenalties[level - 1] || 0;
+    }
+
+    /**
+     * Request a hint. Serves the current puzzle's pre-generated hint ladder,
+     * otherwise asks the AI (can fall back to local AI).
+     * Each level is revealed once per stage and adds its time penalty; once
+     * the ladder is used up, templates.hintsExhausted is returned and nothing
+     * is counted. AI hints are worded per skill tier.
+     * @param {number} hintLevel - 1-3 (levels already revealed are skipped)
+     * @param {Object} options - { onToken } streams the reply (see evaluateAnswer)
+     */
+    async requestHint(hintLevel, options = {}) {
+        const stream = this._createTokenStream(options.onToken);
+        return stream.finish(await this._trackCall('requestHint', () => this._requestHint(hintLevel, stream.onToken)));
+    }
 
+    async _requestHint(hintLevel, onToken) {
+        const tier = this.getSkillTier();
+        if (this.currentPuzzle && this._getRevealedHintLevel() >= HINT_LEVELS) {
+            this._setSpeaker('gm');
+            this._setBackend('local');
+            return this.templates.hintsExhausted;
+        }
+        const level = this._getNextHintLevel(hintLevel);
+
+        this.playerStats.hintsUsed++;
+        this.playerStats.hintPenaltySeconds += this._getHintPenalty(level);
+        if (this.stageRecord) {
+            this.stageRecord.hintsUsed++;
+            this.stageRecord.hintLevel = Math.max(this.stageRecord.hintLevel, level);
+        }
+        this._refreshPrefetch();
+
+        const speaker = this._setSpeaker(this._getSpeakerId('hint', this.stageRecord && this.stageRecord.stage));
+        const ladder = this.currentPuzzle ? this.currentPuzzle.hints : [];
+        const ladderHint = ladder[Math.min(level, ladder.length) - 1];
+        if (ladderHint) {
+            this._setBackend('local');
+            return `[HINT] ${ladderHint}`;
+        }
+
+        const { messages } = this.templates;
+        if (!this.chatSession) {
+            this._setBackend('fallback');
+            this._noteFallback('offline');
+            return `[HINT] ${this._getBankHint(level) || messages.hintOffline}`;
+        }
+
+        const prompt = this.templates.hintPrompt(level, this.templates.hintStyle[tier]);
+
+        const label = { kind: 'hint', key: this.currentPuzzle ? this.currentPuzzle.stageId : 'default', speaker };
         try {
-            const result = await this.chatSession.sendMessage(prompt);
-            return this._extractResponseText(result.response);
+            const { text } = await this._send(this.chatSession, prompt, label, onToken);
+            return text;
         } catch (error) {
+            this._noteFallback('cloud-error', error);
             // Local fallback
             if (this.localAiSession) {
                 try {
-                    return await this.localAiSession.prompt(prompt);
-                } catch (e) { }
+                    const { text } = await this._send(this.localAiSession, prompt, label, onToken);
+                    return text;
+                } catch (e) {
+                    this._noteFallback('edge-error', e);
+                }
             }
-            return '[HINT] ヒントのロードに失敗しました...';
+            this._setBackend('fallback');
+            return `[HINT] ${this._getBankHint(level) || messages.hintFailed}`;
         }
     }
 
@@ -295,66 +1221,210 @@ export class GeoAIGameMaster {
      * Generate dynamic narrative between stages based on player performance
      *
      * Story branching based on:
-     * - Performance: Praise for streaks, taunts for struggles
+     * - Performance: Tone follows the skill tier (praise when dominant, taunts when struggling)
      * - Hint usage: Commentary on player's independence
+     * - Story flags: Consequences of the choices made so far (story.js)
      * - Stage context: Location-specific flavor text
      *
-     * Extensible: Add multiple endings, character interactions, side quests
+     * @param {Object} options - { onToken } streams the reply (see evaluateAnswer)
      */
-    async generateNarration(fromStage, toStage, playerStats = {}) {
-        if (!this.chatSession) await this.init();
+    async generateNarration(fromStage, toStage, playerStats = {}, options = {}) {
+        const stream = this._createTokenStream(options.onToken);
+        return stream.finish(await this._trackCall('generateNarration',
+            () => this._generateNarration(fromStage, toStage, playerStats, stream.onToken), toStage.id));
+    }
 
-        const performance = this.consecutiveCorrect >= 2 ? '好調（連続正解中）' :
-                           this.consecutiveWrong >= 2 ? '苦戦中（連続不正解）' : '安定';
+    async _generateNarration(fromStage, toStage, playerStats, onToken) {
+        await this._ensureSessions();
 
-        const prompt = `[ナレーション生成]
-クリアしたステージ: ${fromStage.name}
-次のステージ: ${toStage.name}
-プレイヤー状態: ${performance}
-ヒント使用: ${playerStats.hintsUsed || 0}回
+        const { messages } = this.templates;
+        const hintsUsed = playerStats.hintsUsed !== undefined ? playerStats.hintsUsed : this.playerStats.hintsUsed;
 
-上記を踏まえ、AXIOM（都市管理AI）としてプレイヤーに語りかけるサイバーパンク風ナレーション(2-3文)を生成せよ。
-好調なら称賛、苦戦中なら挑発や警告を含めること。`;
+        const speaker = this._setSpeaker(this._getSpeakerId('narration', toStage));
+        const prefetched = await this._takePrefetchedNarration(toStage, hintsUsed);
+        if (prefetched) {
+            this._setBackend('cloud');
+            this.telemetry.noteCached(this.activeCall);
+            return prefetched;
+        }
+
+        const prompt = this._getNarrationPrompt(fromStage, toStage, this._getLiveSkill(), hintsUsed);
 
+        const label = { kind: 'narration', key: toStage.id, speaker };
         try {
-            const result = await this.chatSession.sendMessage(prompt);
-            return this._extractResponseText(result.response);
+            const { text } = await this._send(this.chatSession, prompt, label, onToken);
+            return text;
         } catch (error) {
-            return `[AXIOM] ${fromStage.name}セクターの突破を確認。次の座標へ転送中... ${toStage.name}エリアに接近。`;
+            this._noteFallback(this.chatSession ? 'cloud-error' : 'offline', error);
+            if (this.localAiSession) {
+                try {
+                    const { text } = await this._send(this.localAiSession, prompt, label, onToken);
+                    return text;
+                } catch (e) {
+                    this._noteFallback('edge-error', e);
+                }
+            }
+            this._setSpeaker('gm');
+            this._setBackend('fallback');
+            return this._getFallbackNarration(fromStage, toStage);
         }
     }
 
     /**
-     * Dynamic ending generation
+     * Canned transition line plus a fact about the destination from the bank
+     */
+    _getFallbackNarration(fromStage, toStage) {
+        const { messages, fallbackBank, stageName } = this.templates;
+        const line = messages.narrationFallback(stageName(fromStage), stageName(toStage));
+        const entry = fallbackBank[toStage.id];
+        const fact = entry && this.puzzleBank.pickLine(entry.arrival);
+        return fact ? `${line} ${fact}` : line;
+    }
+
+    _getNarrationPrompt(fromStage, toStage, skill, hintsUsed) {
+        return this.templates.narrationPrompt({
+            fromStage,
+            toStage,
+            performance: this._getPerformanceLabel(skill),
+            hintsUsed,
+            choices: this._getStoryChoiceLines(),
+        });
+    }
+
+    _getNarrationKey(skill, hintsUsed) {
+        return `${this._getPerformanceLabel(skill)}|${hintsUsed}|${this.story.getFlagNames().join(',')}`;
+    }
+
+    /**
+     * Story flags set so far, as sentences for the narration and ending prompts
+     */
+    _getStoryChoiceLines() {
+        const { flags } = this.templates.story;
+        return this.story.getFlagNames().map(name => flags[name]).filter(Boolean);
+    }
+
+    /**
+     * Choice point after a stage (story.js), with its text
+     * @returns {Object|null} { id, speaker, prompt, options: [{ id, label }] }, or null when
+     *          the stage has no choice, it was already made, or its condition is not met
+     */
+    getStoryChoice(stage) {
+        const choice = this.story.getChoice(stage.id);
+        if (!choice) return null;
+
+        const text = this.templates.story.choices[choice.id];
+        return {
+            id: choice.id,
+            speaker: this.templates.speakers[choice.speaker] || this.templates.speakers.gm,
+            prompt: text.prompt,
+            options: choice.options.map(option => ({ id: option.id, label: text.options[option.id] })),
+        };
+    }
+
+    /**
+     * Take an option of the choice after a stage. Its flags persist for the
+     * rest of the run and are summarised into chat memory.
+     * @returns {boolean} false if the option is not on offer
+     */
+    makeStoryChoice(stage, optionId) {
+        const choice = this.getStoryChoice(stage);
+        if (!choice || !this.story.choose(stage.id, optionId)) return false;
+
+        const option = choice.options.find(o => o.id === optionId);
+        this._logEvent('choice', { stageId: stage.id, choice: choice.id, option: optionId, flags: this.story.getFlagNames() });
+        if (this.chatSession) this.chatSession.addSummary(this.templates.story.choiceSummary(option.label));
+        return true;
+    }
+
+    /**
+     * Stage that follows `stage` on the story graph
+     * @param {Array} stages - Campaign stages in default order (e.g. STAGES)
+     * @returns {Object|null} null when the story ends
+     */
+    getNextStage(stage, stages) {
+        const nextId = this.story.getNextStageId(stage.id, stages.map(s => s.id));
+        return stages.find(s => s.id === nextId) || null;
+    }
+
+    /**
+     * Ending reached with the current flags
+     * @returns {{ id: string, environment: string|null, title: string, subtitle: string, direction: string, fallback: string }}
      */
-    async generateEndingStory(totalTime, hintsUsed, stageCount) {
-        if (!this.chatSession) await this.init();
+    getEnding() {
+        const id = this.story.getEnding();
+        return { id, environment: this.story.getEndingEnvironment(), ...this.templates.story.endings[id] };
+    }
+
+    /**
+     * Dynamic ending generation: the story graph picks the ending (getEnding),
+     * the AI tells it from the choices made
+     * @param {Object} options - { onToken } streams the reply (see evaluateAnswer)
+     */
+    async generateEndingStory(totalTime, hintsUsed, stageCount, options = {}) {
+        const stream = this._createTokenStream(options.onToken);
+        return stream.finish(await this._trackCall('generateEndingStory',
+            () => this._generateEndingStory(totalTime, hintsUsed, stageCount, stream.onToken)));
+    }
 
-        const prompt = `全${stageCount}ステージクリア。プレイ時間:${totalTime}、ヒント数:${hintsUsed}。
-サイバーパンク風のエンディングを生成せよ(3-4文)。実績に応じた称号を含めること。`;
+    async _generateEndingStory(totalTime, hintsUsed, stageCount, onToken) {
+        await this._ensureSessions();
+
+        const ending = this.getEnding();
+        const choices = this._getStoryChoiceLines();
+        const prompt = this.templates.endingPrompt({ stageCount, totalTime, hintsUsed, ending, choices });
+        this._setSpeaker('gm');
 
         try {
-            const result = await this.chatSession.sendMessage(prompt);
-            return this._extractResponseText(result.response);
+            const { text } = await this._send(this.chatSession, prompt, { kind: 'ending', key: ending.id }, onToken);
+            return text;
         } catch (error) {
-            return '都市のデータネットワークから解放された。あなたの脱出は完了した。';
+            this._noteFallback(this.chatSession ? 'cloud-error' : 'offline', error);
+            this._setBackend('fallback');
+            return ending.fallback;
         }
     }
 
     /**
-     * Fallback puzzles when AI generation fails
-     * These are pre-written puzzles for each stage as backup
-     * Extensible: Add more stages by adding entries with matching stage.id
+     * Fallback puzzle when AI generation fails: drawn from the offline bank
+     * (fallbackPuzzles.js, themed in prompts.js), avoiding puzzles shown in
+     * earlier sessions and matching the player's skill. Stages without a bank
+     * entry get a generic "name this place" puzzle.
      */
     _getFallbackPuzzle(stage) {
-        const fallbacks = {
-            1: '[PUZZLE] [BABEL-01 認証プロトコル] このジャミングタワーの全高は333m。旧世紀、この構造物は何と呼ばれていた？正式名称をデータベースから検索せよ。',
-            2: '[PUZZLE] [GINZA-BLOCK 暗号解読] 1932年竣工の時計塔を持つビル。旧名「服部時計店」。現在の名称を特定せよ。',
-            3: '[PUZZLE] [SHIBUYA-NEXUS 生体認証] 駅前に設置された犬型モニュメント。この犬種を回答せよ。AXIOMの初期プロトタイプのコードネームでもある。',
-            4: '[PUZZLE] [AKIBA-GRID 歴史照合] この電脳街の名称の由来となった神社がある。火除けの神を祀るその神社の名は？',
-            5: '[PUZZLE] [AXIOM-CORE 最終認証] 双子の神殿、第一本庁舎。その高さを数値で回答せよ。単位はメートル。',
+        const { fallbackBank, genericFallbackQuestion, genericFallbackHints, stageName } = this.templates;
+        const entry = fallbackBank[stage.id];
+        const picked = entry && this.puzzleBank.pickPuzzle(stage.id, entry.puzzles, this._getTargetDifficulty(stage));
+        const fallback = picked || {
+            question: genericFallbackQuestion,
+            answer: stageName(stage),
+            acceptedAliases: [stage.name, stage.nameEn].filter(Boolean),
+            format: 'text',
+            hints: genericFallbackHints(stage),
+            sourceFacts: [],
+        };
+        return {
+            ...normalizePuzzle(fallback, stage),
+            ...(picked ? { bankId: picked.id } : {}),
+            source: 'fallback',
         };
-        return fallbacks[stage.id] || '[PUZZLE] 座標を特定し、回答を入力せよ。';
+    }
+
+    /**
+     * Stage difficulty shifted by the skill estimate (±2 at the extremes)
+     * @returns {number} 1-5
+     */
+    _getTargetDifficulty(stage, skill = this._getLiveSkill()) {
+        const shifted = (stage.difficulty || 3) + Math.round((skill - 0.5) * 4);
+        return Math.min(5, Math.max(1, shifted));
+    }
+
+    /**
+     * Stage-level hint from the offline bank (when no backend can write one)
+     */
+    _getBankHint(level) {
+        const entry = this.currentPuzzle && this.templates.fallbackBank[this.currentPuzzle.stageId];
+        if (!entry || !entry.hints) return null;
+        return entry.hints[Math.min(level, entry.hints.length) - 1] || null;
     }
 }
 
@@ -367,7 +1437,26 @@ export const gameMasterEngine = new GeoAIGameMaster();
 // Proxy functions to maintain compatibility with existing game code
 export const initGameSession = () => gameMasterEngine.init();
 export const generatePuzzle = (stage) => gameMasterEngine.generatePuzzle(stage);
-export const evaluateAnswer = (answer) => gameMasterEngine.evaluateAnswer(answer);
-export const requestHint = (level) => gameMasterEngine.requestHint(level);
-export const generateNarration = (from, to) => gameMasterEngine.generateNarration(from, to);
-export const generateEndingStory = (time, hints, count) => gameMasterEngine.generateEndingStory(time, hints, count);
+export const evaluateAnswer = (answer, options) => gameMasterEngine.evaluateAnswer(answer, options);
+export const requestHint = (level, options) => gameMasterEngine.requestHint(level, options);
+export const generateNarration = (from, to, stats, options) => gameMasterEngine.generateNarration(from, to, stats, options);
+export const prefetchStage = (stage, fromStage) => gameMasterEngine.prefetchStage(stage, fromStage);
+export const generateEndingStory = (time, hints, count, options) => gameMasterEngine.generateEndingStory(time, hints, count, options);
+export const getTokenUsage = () => gameMasterEngine.usage;
+export const getTelemetry = () => gameMasterEngine.telemetry;
+export const exportTelemetry = () => gameMasterEngine.exportTelemetry();
+export const setTelemetryListener = (listener) => gameMasterEngine.setTelemetryListener(listener);
+export const getSkillEstimate = () => gameMasterEngine.getSkillEstimate();
+export const getHintStatus = () => gameMasterEngine.getHintStatus();
+export const evaluateBuildingSelection = (building, options) => gameMasterEngine.evaluateBuildingSelection(building, options);
+export const setBuildingSource = (source) => gameMasterEngine.setBuildingSource(source);
+export const getTemplates = () => gameMasterEngine.templates;
+export const getSpeaker = () => gameMasterEngine.getSpeaker();
+export const getStoryChoice = (stage) => gameMasterEngine.getStoryChoice(stage);
+export const makeStoryChoice = (stage, optionId) => gameMasterEngine.makeStoryChoice(stage, optionId);
+export const getNextStage = (stage, stages) => gameMasterEngine.getNextStage(stage, stages);
+export const getEnding = () => gameMasterEngine.getEnding();
+export const generateStage = (location, options) => gameMasterEngine.generateStage(location, options);
+export const setStagePack = (pack) => gameMasterEngine.setStagePack(pack);
+export const getBackend = () => gameMasterEngine.getBackend();
+export const setEdgeStatusListener = (listener) => gameMasterEngine.setEdgeStatusListener(listener);
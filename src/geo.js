@@ -0,0 +1,52 @@
+// geo.js -- Plain longitude/latitude math shared by puzzles, matcher and map code
+// (no Cesium dependency, so it also runs in the engine and offline judging)
+
+const EARTH_RADIUS = 6371000;
+
+function toRad(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two { longitude, latitude } points
+ * @returns {number} metres
+ */
+export function distanceMeters(a, b) {
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLon = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Initial compass bearing from one point to another
+ * @returns {number} degrees clockwise from north, 0-360
+ */
+export function bearingDegrees(from, to) {
+    const dLon = toRad(to.longitude - from.longitude);
+    const y = Math.sin(dLon) * Math.cos(toRad(to.latitude));
+    const x = Math.cos(toRad(from.latitude)) * Math.sin(toRad(to.latitude))
+        - Math.sin(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Whether a point lies inside a { west, south, east, north } box (degrees)
+ */
+export function isInBounds(point, bounds) {
+    return point.longitude >= bounds.west && point.longitude <= bounds.east
+        && point.latitude >= bounds.south && point.latitude <= bounds.north;
+}
+
+/**
+ * Distance from a point to the nearest edge of a { west, south, east, north } box
+ * @returns {number} metres, 0 inside the box
+ */
+export function distanceToBounds(point, bounds) {
+    const nearest = {
+        longitude: Math.min(Math.max(point.longitude, bounds.west), bounds.east),
+        latitude: Math.min(Math.max(point.latitude, bounds.south), bounds.north),
+    };
+    return distanceMeters(point, nearest);
+}
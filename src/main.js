@@ -1,16 +1,21 @@
 // main.js -- Game controller / entry point
 import './style.css';
-import { STAGES } from './stages.js';
-import { initMap, flyToLandmark, addLandmarkMarker, clearMarkers, setClearSkyWeather } from './map.js';
-import { initGameSession, generatePuzzle, evaluateAnswer, requestHint, generateNarration, generateEndingStory } from './gemini.js';
-import { setupBuildingInteraction, clearHighlights } from './buildings.js';
-import { speak, speakAndWait, stopSpeaking, skipAndProceed, toggleTTS } from './tts.js';
+import { BUILTIN_PACK, loadPackFromUrl, loadPackFromFile, getPackAreas, getPackCamera } from './stagePacks.js';
+import { openStageEditor } from './stageEditor.js';
+import { DEFAULT_ENVIRONMENT } from './environments.js';
+import { initMap, streamAround, waitForTiles, getPerformanceStats, getTilesets, flyToLandmark, skipCameraPath, stopCameraPath, addLandmarkMarker, clearMarkers, flyToSky, setEnvironment, resetEnvironment, enablePinDrop, disablePinDrop, getViewCenter } from './map.js';
+import { initGameSession, generatePuzzle, evaluateAnswer, evaluateBuildingSelection, setBuildingSource, requestHint, generateNarration, generateEndingStory, prefetchStage, getSkillEstimate, getHintStatus, getTemplates, getSpeaker, getStoryChoice, makeStoryChoice, getNextStage, getEnding, generateStage, setStagePack, getBackend, setEdgeStatusListener, getTelemetry, exportTelemetry, setTelemetryListener } from './gemini.js';
+import { setupBuildingInteraction, findBuildingsNear, clearHighlights } from './buildings.js';
+import { speak, speakAndWait, stopSpeaking, skipAndProceed, toggleTTS, createSpeechStream, getCharacterVoice } from './tts.js';
 
 // ----- Game State -----
 const state = {
+  packs: [BUILTIN_PACK],
+  pack: BUILTIN_PACK,
+  stages: BUILTIN_PACK.stages,
   currentStage: 0,
+  stagesCleared: 0,
   hintsUsed: 0,
-  hintLevel: 0,
   totalHintsUsed: 0,
   timerStart: null,
   timerInterval: null,
@@ -18,7 +23,13 @@ const state = {
   isProcessing: false,
   gameStarted: false,
   viewer: null,
+  keyboardReady: false,
   mapInitPromise: null,
+  perfHudInterval: null,
+  puzzle: null,
+  selectedBuilding: null,
+  ordering: null,
+  pin: null,
 };
 
 // ----- DOM References -----
@@ -34,22 +45,37 @@ const dom = {
   restartBtn: document.getElementById('restart-btn'),
   chatMessages: document.getElementById('chat-messages'),
   chatInput: document.getElementById('chat-input'),
+  answerWidget: document.getElementById('answer-widget'),
   chatSend: document.getElementById('chat-send'),
   chatToggle: document.getElementById('chat-toggle'),
   chatPanel: document.getElementById('chat-panel'),
   stageNumber: document.getElementById('stage-number'),
   stageName: document.getElementById('stage-name'),
   timer: document.getElementById('timer'),
+  timerPenalty: document.getElementById('timer-penalty'),
+  skillValue: document.getElementById('skill-value'),
+  edgeStatus: document.getElementById('edge-status'),
+  edgeStatusValue: document.getElementById('edge-status-value'),
   stageTransition: document.getElementById('stage-transition'),
   transitionStage: document.querySelector('.transition-stage'),
   finalTime: document.getElementById('final-time'),
   finalHints: document.getElementById('final-hints'),
   finalRank: document.getElementById('final-rank'),
-  progressNodes: document.querySelectorAll('.progress-node'),
+  stageProgress: document.getElementById('stage-progress'),
+  packSelect: document.getElementById('pack-select'),
+  packUrl: document.getElementById('pack-url'),
+  packInfo: document.getElementById('pack-info'),
+  packErrors: document.getElementById('pack-errors'),
   bootLines: document.getElementById('boot-lines'),
   skyLocation: document.getElementById('sky-location'),
+  debugOverlay: document.getElementById('debug-overlay'),
+  perfHud: document.getElementById('perf-hud'),
+  debugSummary: document.getElementById('debug-summary'),
+  debugEvents: document.querySelector('#debug-events tbody'),
 };
 
+const DEFAULT_INPUT_PLACEHOLDER = dom.chatInput.placeholder;
+
 // ----- Screen Management -----
 function showScreen(name) {
   Object.values(screens).forEach(s => s.classList.remove('active'));
@@ -62,21 +88,52 @@ function startTimer() {
   state.timerInterval = setInterval(updateTimer, 1000);
 }
 
+// The clock shows play time plus hint penalties; the penalty part is shown beside it
 function updateTimer() {
   state.elapsedSeconds = Math.floor((Date.now() - state.timerStart) / 1000);
-  const min = String(Math.floor(state.elapsedSeconds / 60)).padStart(2, '0');
-  const sec = String(state.elapsedSeconds % 60).padStart(2, '0');
-  dom.timer.textContent = `${min}:${sec}`;
+  const { penaltySeconds } = getHintStatus();
+  dom.timer.textContent = getFormattedTime();
+  dom.timerPenalty.textContent = penaltySeconds > 0 ? `+${penaltySeconds}s` : '';
+}
+
+// Play time including hint penalties: what the clock, the ending and the rank use
+function getScoreSeconds() {
+  return state.elapsedSeconds + getHintStatus().penaltySeconds;
 }
 
 function stopTimer() { clearInterval(state.timerInterval); }
 
+// ----- Skill Display -----
+function updateSkillUI() {
+  dom.skillValue.textContent = `${Math.round(getSkillEstimate() * 100)}%`;
+}
+
+// On-device model (Gemini Nano): download progress, then READY; hidden when unavailable
+function updateEdgeStatus({ state: edgeState, progress }) {
+  dom.edgeStatus.classList.toggle('hidden', edgeState === 'unavailable');
+  dom.edgeStatus.dataset.state = edgeState;
+  dom.edgeStatusValue.textContent = edgeState === 'ready' ? 'READY'
+    : edgeState === 'downloading' && progress !== null ? `${Math.round(progress * 100)}%`
+      : 'STANDBY';
+}
+
 function getFormattedTime() {
-  const min = String(Math.floor(state.elapsedSeconds / 60)).padStart(2, '0');
-  const sec = String(state.elapsedSeconds % 60).padStart(2, '0');
+  const seconds = getScoreSeconds();
+  const min = String(Math.floor(seconds / 60)).padStart(2, '0');
+  const sec = String(seconds % 60).padStart(2, '0');
   return `${min}:${sec}`;
 }
 
+// ----- Hint Button -----
+function updateHintUI() {
+  const hintBtn = document.getElementById('hint-btn');
+  if (!hintBtn) return;
+  const { remaining, total, nextPenalty } = getHintStatus();
+  hintBtn.textContent = `HINT ${remaining}/${total}`;
+  hintBtn.title = remaining > 0 ? `Next hint: +${nextPenalty}s` : 'No hints left for this sector';
+  hintBtn.disabled = remaining === 0;
+}
+
 // ----- Sound Effects (Web Audio API) -----
 const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
 
@@ -178,11 +235,12 @@ async function playBootSequence() {
   dom.bootLines.innerHTML = '';
 
   // Start map preload in background
-  state.mapInitPromise = initMap().catch(err => {
+  state.mapInitPromise = initMap(getCampaignMap()).catch(err => {
     console.error('Map preload error:', err);
   });
 
   // Init AI session in background (store promise to await later)
+  setEdgeStatusListener(updateEdgeStatus);
   state.aiInitPromise = initGameSession();
 
   for (const msg of BOOT_MESSAGES) {
@@ -206,12 +264,20 @@ async function playBootSequence() {
 }
 
 // ----- Keyboard Camera Controls -----
+// Keys typed into a field belong to it, not to the game's shortcuts
+function isTextEntry(element) {
+  return Boolean(element) && (element.matches('input, textarea, select') || element.isContentEditable);
+}
+
+// Installed once per page: the game and the stage editor share the viewer
 function setupKeyboardControls(viewer) {
+  if (state.keyboardReady) return;
+  state.keyboardReady = true;
   const moveRate = 50;
   const keysDown = {};
 
   document.addEventListener('keydown', (e) => {
-    if (e.target === dom.chatInput) return;
+    if (isTextEntry(e.target)) return;
     keysDown[e.key.toLowerCase()] = true;
   });
 
@@ -231,26 +297,47 @@ function setupKeyboardControls(viewer) {
 }
 
 // ----- Chat Messages -----
-function addMessage(text, type = 'ai') {
-  const msg = document.createElement('div');
-  msg.className = `message ${type}`;
-
-  let displayText = text
+function formatMessageHtml(text) {
+  return text
     .replace(/^\[CORRECT\]\s*/i, '')
     .replace(/^\[WRONG\]\s*/i, '')
     .replace(/^\[PUZZLE\]\s*/i, '')
-    .replace(/^\[HINT\]\s*/i, '');
+    .replace(/^\[HINT\]\s*/i, '')
+    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\n/g, '<br>');
+}
 
-  displayText = displayText.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-  displayText = displayText.replace(/\n/g, '<br>');
+/**
+ * Tag a message with the character speaking it (name label and speaker-<id> class)
+ */
+function setMessageSpeaker(msg, speaker) {
+  msg.classList.add(`speaker-${speaker.id}`);
+  msg.dataset.speaker = speaker.name;
+}
 
+// Which judge produced a reply: local / edge / cloud / fallback
+function setMessageBackend(msg, backend) {
+  if (backend) msg.dataset.backend = backend;
+}
+
+function getSpeakerVoice(speaker) {
+  return getCharacterVoice(speaker.id, getTemplates().language);
+}
+
+function addMessage(text, type = 'ai', speaker = null) {
+  const msg = document.createElement('div');
+  msg.className = `message ${type}`;
+  if (speaker) setMessageSpeaker(msg, speaker);
+
+  const displayText = formatMessageHtml(text);
   msg.innerHTML = displayText;
   dom.chatMessages.appendChild(msg);
   dom.chatMessages.scrollTop = dom.chatMessages.scrollHeight;
 
   // Speak AI messages with Cloud TTS
   if (type === 'ai') {
-    speak(displayText.replace(/<br>/g, '。').replace(/<[^>]+>/g, ''));
+    const voice = speaker ? getSpeakerVoice(speaker) : undefined;
+    speak(displayText.replace(/<br>/g, '。').replace(/<[^>]+>/g, ''), voice);
   }
 
   return msg;
@@ -260,6 +347,46 @@ function addSystemMessage(text) {
   addMessage(text, 'system');
 }
 
+/**
+ * Stream an AI reply into a new chat message and speak it sentence by sentence.
+ * The typing indicator is replaced by the message as soon as the first chunk arrives.
+ * @param {string} type - Message class ('ai' | 'system')
+ * @param {Function} generate - (onToken) => Promise<string>
+ * @returns {Promise<{ text: string, spoken: Promise<void> }>} spoken resolves when speech ends or is skipped
+ */
+async function streamMessage(type, generate) {
+  let msg = null;
+  let speech = null;
+
+  const render = (fullText) => {
+    // Hold back a status tag until it is complete
+    if (/^\[[A-Z]*$/i.test(fullText)) return;
+    if (!msg) {
+      removeTypingIndicator();
+      msg = document.createElement('div');
+      msg.className = `message ${type}`;
+      setMessageSpeaker(msg, getSpeaker());
+      dom.chatMessages.appendChild(msg);
+    }
+    // A failed cloud call can still end in fallback text, so follow the backend to the last chunk
+    setMessageBackend(msg, getBackend());
+    msg.innerHTML = formatMessageHtml(fullText);
+    dom.chatMessages.scrollTop = dom.chatMessages.scrollHeight;
+  };
+
+  // The speaker is known once the engine starts replying, so the voice is picked at the first chunk
+  addTypingIndicator();
+  const text = await generate((chunk, fullText) => {
+    render(fullText);
+    if (!speech) speech = createSpeechStream(getSpeakerVoice(getSpeaker()));
+    speech.push(chunk);
+  });
+  removeTypingIndicator();
+  render(text);
+
+  return { text, spoken: speech ? speech.finish() : Promise.resolve() };
+}
+
 function addTypingIndicator() {
   const msg = document.createElement('div');
   msg.className = 'message ai';
@@ -274,8 +401,127 @@ function removeTypingIndicator() {
   if (el) el.remove();
 }
 
+// ----- Answer Widgets -----
+function shuffled(items) {
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  // Never start in the solved order
+  if (result.length > 1 && result.every((item, i) => item === items[i])) result.push(result.shift());
+  return result;
+}
+
+function clearAnswerWidget() {
+  disablePinDrop();
+  state.ordering = null;
+  state.pin = null;
+  dom.answerWidget.innerHTML = '';
+  dom.answerWidget.className = 'hidden';
+  dom.chatInput.placeholder = DEFAULT_INPUT_PLACEHOLDER;
+  dom.chatInput.inputMode = 'text';
+}
+
+function renderOrdering() {
+  dom.answerWidget.innerHTML = '';
+  state.ordering.forEach((item, i) => {
+    const row = document.createElement('div');
+    row.className = 'ordering-item';
+    row.innerHTML = `<span class="ordering-index">${i + 1}</span><span class="ordering-label"></span>`;
+    row.querySelector('.ordering-label').textContent = item;
+
+    [['\u2191', -1], ['\u2193', 1]].forEach(([arrow, step]) => {
+      const btn = document.createElement('button');
+      btn.className = 'ordering-move';
+      btn.textContent = arrow;
+      btn.disabled = !state.ordering[i + step];
+      btn.addEventListener('click', () => {
+        [state.ordering[i], state.ordering[i + step]] = [state.ordering[i + step], state.ordering[i]];
+        renderOrdering();
+      });
+      row.appendChild(btn);
+    });
+    dom.answerWidget.appendChild(row);
+  });
+}
+
+/**
+ * Show the input widget for the puzzle's format (choice buttons, ordering list,
+ * pin status). Text and number answers use the chat input.
+ */
+function renderAnswerWidget(puzzle) {
+  clearAnswerWidget();
+  const { formats } = getTemplates();
+  const placeholder = formats.placeholders[puzzle.format];
+  if (placeholder) {
+    dom.chatInput.placeholder = typeof placeholder === 'function' ? placeholder(puzzle.unit) : placeholder;
+  }
+
+  switch (puzzle.format) {
+    case 'number':
+      dom.chatInput.inputMode = 'decimal';
+      return;
+    case 'choice':
+      puzzle.choices.forEach((choice, i) => {
+        const btn = document.createElement('button');
+        btn.className = 'answer-choice';
+        btn.textContent = `${i + 1}. ${choice}`;
+        btn.addEventListener('click', () => submitAnswer(choice, choice));
+        dom.answerWidget.appendChild(btn);
+      });
+      break;
+    case 'ordering':
+      state.ordering = shuffled(puzzle.items);
+      renderOrdering();
+      break;
+    case 'pin': {
+      const status = document.createElement('div');
+      status.className = 'pin-status';
+      status.textContent = formats.pinPending;
+      dom.answerWidget.appendChild(status);
+      enablePinDrop((position) => {
+        state.pin = position;
+        status.textContent = formats.pinLabel(position);
+        playSound('boot');
+      });
+      break;
+    }
+    default:
+      return;
+  }
+  dom.answerWidget.className = `format-${puzzle.format}`;
+}
+
+/**
+ * Show a story choice point (story.js) and wait for the player to pick an option
+ * @returns {Promise<string>} the chosen option id
+ */
+function presentStoryChoice(stage, choice) {
+  clearAnswerWidget();
+  addMessage(choice.prompt, 'ai', choice.speaker);
+
+  return new Promise(resolve => {
+    choice.options.forEach(option => {
+      const btn = document.createElement('button');
+      btn.className = 'answer-choice story-choice';
+      btn.textContent = option.label;
+      btn.addEventListener('click', () => {
+        clearAnswerWidget();
+        addMessage(option.label, 'user');
+        makeStoryChoice(stage, option.id);
+        playSound('boot');
+        resolve(option.id);
+      });
+      dom.answerWidget.appendChild(btn);
+    });
+    dom.answerWidget.className = 'format-story';
+  });
+}
+
 // ----- Stage Management -----
 function updateStageUI(stage) {
+  updateSkillUI();
   dom.stageNumber.textContent = stage.id;
   dom.stageName.textContent = `-- ${stage.name}`;
 
@@ -283,11 +529,30 @@ function updateStageUI(stage) {
     dom.skyLocation.textContent = `SECTOR ${stage.id}: ${stage.nameEn.toUpperCase()}`;
   }
 
-  dom.progressNodes.forEach(node => {
-    const nodeStage = parseInt(node.dataset.stage);
+  const current = state.stages.indexOf(stage);
+  dom.stageProgress.querySelectorAll('.progress-node').forEach(node => {
+    const index = parseInt(node.dataset.index);
     node.classList.remove('active', 'cleared');
-    if (nodeStage < stage.id) node.classList.add('cleared');
-    else if (nodeStage === stage.id) node.classList.add('active');
+    if (index < current) node.classList.add('cleared');
+    else if (index === current) node.classList.add('active');
+  });
+}
+
+// One node per stage of the pack being played
+function renderStageProgress(stages) {
+  dom.stageProgress.innerHTML = '';
+  stages.forEach((stage, index) => {
+    if (index > 0) {
+      const line = document.createElement('div');
+      line.className = 'progress-line';
+      dom.stageProgress.appendChild(line);
+    }
+    const node = document.createElement('div');
+    node.className = 'progress-node';
+    node.dataset.index = index;
+    node.textContent = index + 1;
+    node.title = stage.name;
+    dom.stageProgress.appendChild(node);
   });
 }
 
@@ -306,10 +571,12 @@ async function showStageTransition(text) {
 
 // ----- Core Game Flow -----
 async function startGame() {
+  setStagePack(state.pack);
+  renderStageProgress(state.stages);
   state.currentStage = 0;
+  state.stagesCleared = 0;
   state.hintsUsed = 0;
   state.totalHintsUsed = 0;
-  state.hintLevel = 0;
   state.elapsedSeconds = 0;
   state.gameStarted = true;
 
@@ -326,11 +593,19 @@ async function startGame() {
     inputArea.insertBefore(hintBtn, inputArea.firstChild);
     hintBtn.addEventListener('click', onHintRequest);
   }
+  updateHintUI();
 
   state.viewer = await initMap();
   setupKeyboardControls(state.viewer);
 
+  // Spatial puzzles are built from the buildings loaded around each stage
+  setBuildingSource((stage, radius) =>
+    findBuildingsNear(state.viewer, getTilesets(), stage.location, radius).map(match => match.info));
+
   setupBuildingInteraction(state.viewer, (buildingInfo) => {
+    // In pin mode a click drops the pin instead of scanning
+    if (state.puzzle && state.puzzle.format === 'pin') return;
+    state.selectedBuilding = buildingInfo;
     if (buildingInfo.height) {
       addSystemMessage(`[SCAN] Height: ${buildingInfo.height.toFixed(1)}m${buildingInfo.floors ? ' / Floors: ' + buildingInfo.floors + 'F' : ''}${buildingInfo.usage ? ' / Use: ' + buildingInfo.usage : ''}`);
       playSound('boot');
@@ -341,70 +616,91 @@ async function startGame() {
   addSystemMessage('NEURAL LINK ESTABLISHED');
 
   startTimer();
-  await loadStage(STAGES[0]);
+  await loadStage(state.stages[0]);
 }
 
 async function loadStage(stage) {
-  state.hintLevel = 0;
   updateStageUI(stage);
   clearHighlights();
+  const areasReady = streamAround([stage.location]);
 
   // Phase 1: Show stage introduction (AXIOM message)
   addMessage(stage.description, 'system');
   await speakAndWait(stage.description);
 
-  // Phase 2: Camera flies to landmark
-  flyToLandmark(stage);
+  // Phase 2: Camera flies to landmark (through the stage's intro, if any) as
+  // the weather turns to the stage's; SKIP jumps to the end of the flight
+  await areasReady;
+  setEnvironment(stage.environment || DEFAULT_ENVIRONMENT, { duration: 4 });
   addLandmarkMarker(stage);
-
-  // Wait for camera to arrive
-  await new Promise(r => setTimeout(r, 3500));
+  await flyToLandmark(stage);
 
   // Phase 3: Generate and show puzzle
   addTypingIndicator();
-  const puzzleText = await generatePuzzle(stage);
+  const puzzle = await generatePuzzle(stage);
   removeTypingIndicator();
 
-  // Show puzzle text (without auto-speak from addMessage)
+  state.puzzle = puzzle;
+  state.selectedBuilding = null;
+  updateHintUI();
+
+  // Show puzzle question (without auto-speak from addMessage)
   const puzzleMsg = document.createElement('div');
   puzzleMsg.className = 'message ai';
-  puzzleMsg.innerHTML = puzzleText
-    .replace(/^\[PUZZLE\]\s*/i, '')
+  const speaker = getTemplates().speakers[puzzle.speaker] || getSpeaker();
+  setMessageSpeaker(puzzleMsg, speaker);
+  setMessageBackend(puzzleMsg, getBackend());
+  puzzleMsg.innerHTML = puzzle.question
     .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
     .replace(/\n/g, '<br>');
   dom.chatMessages.appendChild(puzzleMsg);
   dom.chatMessages.scrollTop = dom.chatMessages.scrollHeight;
+  renderAnswerWidget(puzzle);
+
+  // Start generating the next stage while this one is played (a story choice
+  // can still change the route, in which case the prefetch goes unused)
+  prefetchStage(getNextStage(stage, state.stages), stage);
 
   // Speak puzzle and wait for completion
-  await speakAndWait(puzzleText);
+  await speakAndWait(puzzle.question, getSpeakerVoice(speaker));
 }
 
 async function advanceStage() {
-  state.currentStage++;
+  clearAnswerWidget();
+  const prevStage = state.stages[state.currentStage];
+  state.stagesCleared++;
+
+  // Choice point after this stage: the option picks the route and the ending.
+  // Answers typed meanwhile are ignored.
+  const choice = getStoryChoice(prevStage);
+  if (choice) {
+    state.isProcessing = true;
+    await presentStoryChoice(prevStage, choice);
+    state.isProcessing = false;
+  }
 
-  if (state.currentStage >= STAGES.length) {
+  const nextStage = getNextStage(prevStage, state.stages);
+  if (!nextStage) {
     await endGame();
     return;
   }
+  state.currentStage = state.stages.indexOf(nextStage);
 
-  const prevStage = STAGES[state.currentStage - 1];
-  const nextStage = STAGES[state.currentStage];
+  // Start loading the next sector's tiles during the transition and narration
+  streamAround([prevStage.location, nextStage.location]);
 
   // Stop any playing audio before transition
   stopSpeaking();
   await showStageTransition(`SECTOR ${prevStage.id} UNLOCKED`);
 
-  // Generate narration based on player performance
-  addTypingIndicator();
-  const narration = await generateNarration(prevStage, nextStage, {
+  // Generate narration based on player performance (streamed into the chat)
+  const narration = await streamMessage('system', onToken => generateNarration(prevStage, nextStage, {
     hintsUsed: state.totalHintsUsed,
-    elapsedTime: state.elapsedSeconds
-  });
-  removeTypingIndicator();
-  addSystemMessage(narration);
+    elapsedTime: getScoreSeconds()
+  }, { onToken }));
 
   // Wait for narration to finish reading BEFORE showing next stage
-  await speakAndWait(narration);
+  await narration.spoken;
 
   await showStageTransition(`SECTOR ${nextStage.id}: ${nextStage.name}`);
   await loadStage(nextStage);
@@ -413,6 +709,7 @@ async function advanceStage() {
 async function endGame() {
   stopTimer();
   stopSpeaking();
+  clearAnswerWidget();
 
   await showStageTransition('ALL SECTORS UNLOCKED');
 
@@ -420,15 +717,20 @@ async function endGame() {
   dom.chatPanel.classList.add('minimized');
   dom.chatToggle.textContent = '+';
 
-  // Start clearing sky animation (runs in background)
-  const skyPromise = setClearSkyWeather();
+  // The ending follows the story flags (story.js), and so does its sky:
+  // the camera looks up from the last sector while the weather changes
+  const ending = getEnding();
+  flyToSky(state.stages[state.currentStage].location);
+  const skyPromise = setEnvironment(ending.environment || 'clear-sky', { duration: 6 });
+  const title = document.querySelector('.ending-title');
+  title.textContent = ending.title;
+  title.dataset.text = ending.title;
+  document.querySelector('.ending-subtitle').textContent = ending.subtitle;
 
-  // Generate ending while sky clears
   const rank = calculateRank();
-  const endingStory = await generateEndingStory(getFormattedTime(), state.totalHintsUsed, STAGES.length);
-
   dom.finalTime.textContent = getFormattedTime();
-  dom.finalHints.textContent = state.totalHintsUsed;
+  const { penaltySeconds } = getHintStatus();
+  dom.finalHints.textContent = penaltySeconds > 0 ? `${state.totalHintsUsed} (+${penaltySeconds}s)` : state.totalHintsUsed;
   dom.finalRank.textContent = rank;
 
   let storyEl = document.getElementById('ending-story');
@@ -439,21 +741,31 @@ async function endGame() {
     const stats = document.getElementById('ending-stats');
     stats.parentNode.insertBefore(storyEl, stats.nextSibling);
   }
+  storyEl.textContent = '';
+
+  // Generate ending while the sky changes; the story fills in as it streams
+  const speech = createSpeechStream();
+  const endingStory = await generateEndingStory(getFormattedTime(), state.totalHintsUsed, state.stagesCleared, {
+    onToken: (chunk, fullText) => {
+      storyEl.textContent = fullText;
+      speech.push(chunk);
+    }
+  });
   storyEl.textContent = endingStory;
+  speech.finish();
 
-  // Wait for sky to finish clearing, then show ending
+  // Wait for the sky to finish changing, then show ending
   await skyPromise;
 
-  speak(endingStory);
   showScreen('ending');
 }
 
+// Hints are paid for in time (see getHintStatus), so the rank only looks at the penalised clock
 function calculateRank() {
-  const time = state.elapsedSeconds;
-  const hints = state.totalHintsUsed;
-  if (hints === 0 && time < 300) return 'S';
-  if (hints <= 2 && time < 600) return 'A';
-  if (hints <= 5 && time < 900) return 'B';
+  const time = getScoreSeconds();
+  if (time < 300) return 'S';
+  if (time < 600) return 'A';
+  if (time < 900) return 'B';
   if (time < 1200) return 'C';
   return 'D';
 }
@@ -461,7 +773,6 @@ function calculateRank() {
 // ----- Input Handling -----
 async function onSendAnswer() {
   const answer = dom.chatInput.value.trim();
-  if (!answer) return;
 
   // Dev commands work even during processing
   if (answer === '/skip') {
@@ -484,6 +795,48 @@ async function onSendAnswer() {
     return;
   }
 
+  if (answer === '/debug') {
+    dom.chatInput.value = '';
+    toggleDebugOverlay();
+    return;
+  }
+
+  if (answer === '/perf') {
+    dom.chatInput.value = '';
+    togglePerfHud();
+    return;
+  }
+
+  if (/^\/gen(\s|$)/.test(answer)) {
+    dom.chatInput.value = '';
+    await onGenerateStage(answer.split(/\s+/).slice(1).map(Number));
+    return;
+  }
+
+  if (answer) {
+    await submitAnswer(answer, answer);
+    return;
+  }
+
+  // An empty SEND submits the widget's value for formats answered on the map or in the panel
+  const format = state.puzzle && state.puzzle.format;
+  const { spatial, formats } = getTemplates();
+  if (format === 'building' && state.selectedBuilding) {
+    await submitAnswer(null, spatial.selection(spatial.buildingLabel(state.selectedBuilding)), state.selectedBuilding);
+  } else if (format === 'ordering' && state.ordering) {
+    await submitAnswer(state.ordering.slice(), formats.ordering(state.ordering));
+  } else if (format === 'pin' && state.pin) {
+    await submitAnswer(state.pin, formats.pinLabel(state.pin));
+  }
+}
+
+/**
+ * Judge an answer and react to the verdict
+ * @param {string|string[]|Object|null} answer - Text, ordering or pin (see evaluateAnswer)
+ * @param {string} label - Shown as the player's chat message
+ * @param {Object|null} building - Selected building for spatial puzzles (answer is ignored)
+ */
+async function submitAnswer(answer, label, building = null) {
   // Regular input blocked during processing
   if (state.isProcessing) return;
 
@@ -491,56 +844,252 @@ async function onSendAnswer() {
   dom.chatSend.disabled = true;
   dom.chatInput.value = '';
 
-  addMessage(answer, 'user');
+  let result;
+  addMessage(label, 'user');
+  const { spoken } = await streamMessage('ai', async onToken => {
+    result = building
+      ? await evaluateBuildingSelection(building, { onToken })
+      : await evaluateAnswer(answer, { onToken });
+    return result.message;
+  });
 
-  addTypingIndicator();
-  const response = await evaluateAnswer(answer);
-  removeTypingIndicator();
+  updateSkillUI();
 
-  if (response.startsWith('[CORRECT]') || response.includes('[CORRECT]')) {
+  if (result.suspectedInjection.length > 0) {
+    addSystemMessage('WARNING: INPUT TAMPERING DETECTED -- INCIDENT LOGGED');
+  }
+
+  if (result.verdict === 'correct') {
     playSound('correct');
-    // Show message but don't auto-speak (we'll use speakAndWait)
-    const msg = document.createElement('div');
-    msg.className = 'message ai';
-    msg.innerHTML = response
-      .replace(/^\[CORRECT\]\s*/i, '')
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\n/g, '<br>');
-    dom.chatMessages.appendChild(msg);
-    dom.chatMessages.scrollTop = dom.chatMessages.scrollHeight;
+    clearAnswerWidget();
 
     // Wait for response to be fully spoken before advancing
-    await speakAndWait(response);
+    await spoken;
 
     addSystemMessage('ACCESS GRANTED -- SECTOR UNLOCKED');
     state.isProcessing = false;
     dom.chatSend.disabled = false;
     await advanceStage();
   } else {
-    playSound('wrong');
-    addMessage(response, 'ai');
+    // 'invalid' answers did not fit the format and are not counted as wrong
+    if (result.verdict === 'wrong') playSound('wrong');
     state.isProcessing = false;
     dom.chatSend.disabled = false;
   }
 }
 
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Seconds to wait for the area's tiles before sampling its buildings anyway
+const GENERATE_TILES_TIMEOUT = 15;
+
+/**
+ * Dev command: /gen [longitude latitude] builds a stage around the point
+ * (default: the view center), shows it and downloads it as JSON
+ */
+async function onGenerateStage([longitude, latitude]) {
+  const location = Number.isFinite(longitude) && Number.isFinite(latitude) ? { longitude, latitude } : getViewCenter();
+  if (!location) {
+    addSystemMessage('DEBUG: NO COORDINATE -- /gen <longitude> <latitude>');
+    return;
+  }
+  addSystemMessage(`DEBUG: GENERATING STAGE AT ${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`);
+
+  // Buildings are read from loaded tiles: bring the area into view and wait for them
+  await streamAround([state.stages[state.currentStage].location, location]);
+  await flyToLandmark({ location: { ...location, height: 300 }, cameraOffset: { heading: 0, pitch: -45, range: 800 } });
+  if (!await waitForTiles(GENERATE_TILES_TIMEOUT)) {
+    addSystemMessage('DEBUG: TILES STILL LOADING -- USING THE BUILDINGS LOADED SO FAR');
+  }
+
+  addTypingIndicator();
+  const { stage, errors } = await generateStage(location);
+  removeTypingIndicator();
+  if (!stage) {
+    addSystemMessage(`DEBUG: STAGE GENERATION FAILED -- ${errors.join(' / ')}`);
+    return;
+  }
+
+  flyToLandmark(stage);
+  addLandmarkMarker(stage);
+  addSystemMessage(`DEBUG: STAGE ${stage.id} -- ${stage.name}`);
+  addMessage(stage.description, 'system');
+  downloadJson(`${stage.id}.json`, stage);
+}
+
+// ----- Debug Overlay (AI telemetry) -----
+const DEBUG_EVENT_ROWS = 50;
+
+function toggleDebugOverlay(visible = dom.debugOverlay.classList.contains('hidden')) {
+  dom.debugOverlay.classList.toggle('hidden', !visible);
+  if (visible) renderDebugOverlay();
+}
+
+function renderDebugOverlay() {
+  if (dom.debugOverlay.classList.contains('hidden')) return;
+  const telemetry = getTelemetry();
+  const { calls, methods, backends, fallbackReasons } = telemetry.getSummary();
+
+  const counts = (table) => Object.entries(table).map(([name, count]) => `${name}:${count}`).join(' ') || '-';
+  const latencies = Object.entries(methods).map(([name, m]) => `${name} avg ${m.avgMs}ms / max ${m.maxMs}ms`).join('\n');
+  dom.debugSummary.textContent = `CALLS ${calls}  BACKENDS ${counts(backends)}  FALLBACKS ${counts(fallbackReasons)}\n${latencies}`;
+
+  dom.debugEvents.innerHTML = '';
+  for (const event of telemetry.events.slice(-DEBUG_EVENT_ROWS).reverse()) {
+    const row = document.createElement('tr');
+    if (event.error) row.className = 'debug-error';
+    else if (event.fallbackReason) row.className = 'debug-fallback';
+    const cells = [
+      event.id,
+      event.method,
+      event.cached ? `${event.backend} (cache)` : event.backend || '-',
+      event.latencyMs,
+      event.retries,
+      `${event.inputTokens}/${event.outputTokens}`,
+      event.fallbacks.join(' > ') || '',
+    ];
+    for (const value of cells) {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+    if (event.error) row.title = event.error;
+    dom.debugEvents.appendChild(row);
+  }
+}
+
+function onExportTelemetry() {
+  downloadJson(`geoai-telemetry-${new Date().toISOString().replace(/[:.]/g, '-')}.json`, exportTelemetry());
+}
+
+// ----- Performance HUD (tileset streaming) -----
+const PERF_HUD_INTERVAL = 1000;
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+}
+
+function togglePerfHud(visible = dom.perfHud.classList.contains('hidden')) {
+  dom.perfHud.classList.toggle('hidden', !visible);
+  clearInterval(state.perfHudInterval);
+  if (visible) {
+    renderPerfHud();
+    state.perfHudInterval = setInterval(renderPerfHud, PERF_HUD_INTERVAL);
+  }
+}
+
+function renderPerfHud() {
+  const { fps, areas, tiles, memoryBytes, heapBytes } = getPerformanceStats();
+  const lines = [
+    `FPS ${fps === null ? '--' : fps}  TILES ${tiles}  GPU ${formatMegabytes(memoryBytes)}${heapBytes === null ? '' : `  HEAP ${formatMegabytes(heapBytes)}`}`,
+    ...areas.map(area => `${area.id.padEnd(10)} ${area.state.toUpperCase().padEnd(11)} ${String(area.tiles).padStart(5)} tiles ${formatMegabytes(area.memoryBytes).padStart(8)}`),
+  ];
+  dom.perfHud.textContent = lines.join('\n');
+}
+
 async function onHintRequest() {
   if (state.isProcessing) return;
 
-  state.hintLevel = Math.min(state.hintLevel + 1, 3);
+  // Each level is revealed once per sector; the button is disabled when none are left
+  const { revealed, remaining, total, nextLevel, nextPenalty } = getHintStatus();
+  if (remaining === 0) return;
   state.totalHintsUsed++;
   state.isProcessing = true;
 
   playSound('hint');
-  addSystemMessage(`HINT DECRYPT -- LEVEL ${state.hintLevel}/3`);
-  addTypingIndicator();
-  const hint = await requestHint(state.hintLevel);
-  removeTypingIndicator();
-  addMessage(hint, 'ai');
+  addSystemMessage(`HINT DECRYPT -- LEVEL ${nextLevel}/${total} -- PENALTY +${nextPenalty}s`);
+  await streamMessage('ai', onToken => requestHint(revealed + 1, { onToken }));
+  updateHintUI();
+  updateTimer();
+  updateSkillUI();
 
   state.isProcessing = false;
 }
 
+// ----- Stage Packs -----
+function renderPackPicker() {
+  dom.packSelect.innerHTML = '';
+  state.packs.forEach((pack, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = `${pack.metadata.title} (${pack.stages.length} SECTORS)`;
+    option.selected = pack === state.pack;
+    dom.packSelect.appendChild(option);
+  });
+  const { description, author } = state.pack.metadata;
+  dom.packInfo.textContent = [description, author && `by ${author}`].filter(Boolean).join(' / ');
+}
+
+// Only the selected pack's tilesets are shown, starting over its first stage
+function getCampaignMap() {
+  return { areas: getPackAreas(state.pack), camera: getPackCamera(state.pack) };
+}
+
+function selectPack(pack) {
+  state.pack = pack;
+  state.stages = pack.stages;
+  renderPackPicker();
+}
+
+function showPackErrors(source, errors) {
+  dom.packErrors.innerHTML = '';
+  dom.packErrors.classList.toggle('hidden', errors.length === 0);
+  if (errors.length === 0) return;
+
+  const heading = document.createElement('li');
+  heading.textContent = `${source}: INVALID STAGE PACK (${errors.length} ERRORS)`;
+  dom.packErrors.appendChild(heading);
+  errors.forEach(error => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    dom.packErrors.appendChild(item);
+  });
+}
+
+/**
+ * Add a loaded pack to the picker and select it; a pack with the same id replaces the earlier one
+ * @param {string} source - URL or file name, shown with validation errors
+ * @param {{ pack: Object|null, errors: string[] }} result - From loadPackFromUrl / loadPackFromFile
+ */
+function onPackLoaded(source, { pack, errors }) {
+  showPackErrors(source, errors);
+  if (pack) {
+    state.packs = state.packs.filter(p => p.builtin || p.metadata.id !== pack.metadata.id);
+    state.packs.push(pack);
+  }
+  selectPack(pack || state.pack);
+}
+
+async function onLoadPackUrl(url = dom.packUrl.value.trim()) {
+  if (!url) return;
+  dom.packInfo.textContent = `LOADING ${url}...`;
+  onPackLoaded(url, await loadPackFromUrl(url));
+}
+
+// ----- Stage Editor -----
+async function onOpenEditor() {
+  showScreen('game');
+  state.viewer = await initMap(getCampaignMap());
+  setupKeyboardControls(state.viewer);
+
+  openStageEditor(state.pack, {
+    onExport: pack => downloadJson(`${pack.metadata.id}.json`, pack),
+    // A valid draft joins the picker, ready to play
+    onClose: (pack) => {
+      showScreen('title');
+      if (pack) onPackLoaded('STAGE EDITOR', { pack, errors: [] });
+    },
+  });
+}
+
 // ----- Event Listeners -----
 dom.startBtn.addEventListener('click', () => {
   if (audioCtx.state === 'suspended') audioCtx.resume();
@@ -549,10 +1098,13 @@ dom.startBtn.addEventListener('click', () => {
 
 dom.restartBtn.addEventListener('click', () => {
   stopSpeaking();
+  clearAnswerWidget();
   showScreen('title');
   clearMarkers();
   clearHighlights();
   stopTimer();
+  stopCameraPath();
+  resetEnvironment();
 });
 
 dom.chatSend.addEventListener('click', onSendAnswer);
@@ -568,18 +1120,27 @@ dom.chatToggle.addEventListener('click', () => {
   dom.chatToggle.textContent = dom.chatPanel.classList.contains('minimized') ? '+' : '_';
 });
 
-// Voice skip button - skip and proceed to next step
-document.getElementById('voice-skip-btn').addEventListener('click', () => {
-  skipAndProceed();
-});
+// Skip button - skip the camera flight, or the voice, and proceed to next step
+function onSkip() {
+  if (!skipCameraPath()) skipAndProceed();
+}
+document.getElementById('voice-skip-btn').addEventListener('click', onSkip);
 
-// Enter key to skip voice and proceed (when not typing in chat)
+// Enter key to skip and proceed (when not typing in a field)
 document.addEventListener('keydown', (e) => {
-  if (e.key === 'Enter' && document.activeElement !== dom.chatInput && state.gameStarted) {
-    skipAndProceed();
+  if (e.key === 'Enter' && !isTextEntry(e.target) && state.gameStarted) {
+    onSkip();
   }
 });
 
+// Debug overlay: ` toggles it (when not typing in a field)
+document.addEventListener('keydown', (e) => {
+  if (e.key === '`' && !isTextEntry(e.target)) toggleDebugOverlay();
+});
+document.getElementById('debug-export-btn').addEventListener('click', onExportTelemetry);
+document.getElementById('debug-close-btn').addEventListener('click', () => toggleDebugOverlay(false));
+setTelemetryListener(renderDebugOverlay);
+
 // Voice toggle
 document.getElementById('audio-indicator').addEventListener('click', () => {
   const enabled = toggleTTS();
@@ -588,5 +1149,30 @@ document.getElementById('audio-indicator').addEventListener('click', () => {
   btn.classList.toggle('muted', !enabled);
 });
 
+dom.packSelect.addEventListener('change', () => selectPack(state.packs[Number(dom.packSelect.value)]));
+document.getElementById('pack-url-btn').addEventListener('click', () => onLoadPackUrl());
+document.getElementById('editor-btn').addEventListener('click', onOpenEditor);
+dom.packUrl.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') onLoadPackUrl();
+});
+
+// Drop a pack JSON file anywhere on the title screen
+screens.title.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  screens.title.classList.add('pack-dragover');
+});
+screens.title.addEventListener('dragleave', () => screens.title.classList.remove('pack-dragover'));
+screens.title.addEventListener('drop', async (e) => {
+  e.preventDefault();
+  screens.title.classList.remove('pack-dragover');
+  const file = e.dataTransfer.files[0];
+  if (file) onPackLoaded(file.name, await loadPackFromFile(file));
+});
+
 // ----- Initialize -----
 showScreen('title');
+renderPackPicker();
+const packParam = new URLSearchParams(window.location.search).get('pack');
+if (packParam) onLoadPackUrl(packParam);
+if (new URLSearchParams(window.location.search).has('debug')) toggleDebugOverlay(true);
+if (new URLSearchParams(window.location.search).has('perf')) togglePerfHud(true);
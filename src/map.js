@@ -1,30 +1,90 @@
 // map.js -- CesiumJS + PLATEAU 3D Tiles integration
 import * as Cesium from 'cesium';
+import { resolveDialect, getTilesetUrl, TILES_SOURCES } from './tilesetRegistry.js';
+import { distanceToBounds, isInBounds } from './geo.js';
+import { ENVIRONMENT_PRESETS, ENVIRONMENT_NAMES, DEFAULT_ENVIRONMENT } from './environments.js';
+import { CAMERA_EASINGS, DEFAULT_EASING, getLandmarkTarget, getStageCameraPath } from './cameraPaths.js';
 
 let viewer = null;
 let mapReady = false;
-
-// PLATEAU 3D Tiles URLs (LOD2 with textures for better visuals)
-const PLATEAU_BASE = 'https://plateau.geospatial.jp/main/data/3d-tiles/bldg/13100_tokyo';
-
-const PLATEAU_TILES = {
-    chiyoda: `${PLATEAU_BASE}/13101_chiyoda-ku/low_resolution/tileset.json`,
-    chuo: `${PLATEAU_BASE}/13102_chuo-ku/low_resolution/tileset.json`,
-    minato: `${PLATEAU_BASE}/13103_minato-ku/low_resolution/tileset.json`,
-    shibuya: `${PLATEAU_BASE}/13113_shibuya-ku/low_resolution/tileset.json`,
-    shinjuku: `${PLATEAU_BASE}/13104_shinjuku-ku/low_resolution/tileset.json`,
+const tilesets = {}; // by area id
+const tilesetDialects = new WeakMap(); // tileset → resolved attribute dialect
+const tilesetTileCounts = new WeakMap(); // tileset → tiles with content loaded
+const loadingAreas = {}; // area id → Promise<tileset|null>
+const unavailableAreas = new Set(); // failed once, not retried
+let campaignAreas = [];
+let pinnedLocations = [];
+let frameCount = 0;
+let frameCountSince = 0;
+let pinHandler = null;
+let pinEntity = null;
+let pickHandler = null;
+
+// Proximity streaming: a campaign area is loaded and shown while the camera (or
+// the point it looks at) is within LOAD_DISTANCE of its bounds, or while a
+// pinned stage stands in it; farther away it is hidden, and destroyed beyond
+// UNLOAD_DISTANCE
+const LOAD_DISTANCE = 2000;
+const UNLOAD_DISTANCE = 6000;
+
+const TILESET_OPTIONS = {
+    maximumScreenSpaceError: 8,
+    cacheBytes: 512 * 1024 * 1024,
+    skipLevelOfDetail: true,
+    preferLeaves: true,
+    dynamicScreenSpaceError: true,
+    dynamicScreenSpaceErrorDensity: 0.00278,
+    dynamicScreenSpaceErrorFactor: 4.0,
 };
 
 /**
- * Initialize CesiumJS viewer with PLATEAU data
+ * Initialize the CesiumJS viewer, then stream the areas a campaign needs
+ * @param {Object} campaign - { areas, camera }: resolved areas (stagePacks.getPackAreas)
+ *        and the opening view (getPackCamera). Without it the viewer is returned as it is.
+ */
+export async function initMap(campaign = null) {
+    if (!viewer) createViewer();
+    if (campaign) {
+        campaignAreas = campaign.areas;
+        pinnedLocations = [];
+        unavailableAreas.clear();
+        if (campaign.camera) setCameraView(campaign.camera);
+        await updateStreaming();
+    }
+    mapReady = true;
+    return viewer;
+}
+
+/**
+ * Where tilesets are loaded from (`?tiles=` URL param, then VITE_TILES_SOURCE):
+ * 'remote' (default), 'proxy' or 'local' (see tilesetRegistry.js)
  */
-export async function initMap() {
-    if (viewer) return viewer;
+export function getTilesSource() {
+    const requested = new URLSearchParams(window.location.search).get('tiles') || import.meta.env.VITE_TILES_SOURCE || 'remote';
+    if (TILES_SOURCES.includes(requested)) return requested;
+    console.warn(`Unknown tiles source "${requested}", using remote (known: ${TILES_SOURCES.join(', ')})`);
+    return 'remote';
+}
 
-    Cesium.Ion.defaultAccessToken = import.meta.env.VITE_CESIUM_ION_TOKEN;
+/**
+ * Cesium ion world terrain and imagery need a token and the network. Without
+ * them (or with local tiles) the globe is a bare ellipsoid in the base colour;
+ * PLATEAU heights are ellipsoidal, so buildings then stand a few tens of
+ * metres above it.
+ */
+function getGlobeOptions() {
+    const ionToken = import.meta.env.VITE_CESIUM_ION_TOKEN;
+    if (ionToken && getTilesSource() !== 'local') {
+        Cesium.Ion.defaultAccessToken = ionToken;
+        return { terrain: Cesium.Terrain.fromWorldTerrain() };
+    }
+    console.log('Cesium ion not used: ellipsoid terrain, no base imagery');
+    return { terrainProvider: new Cesium.EllipsoidTerrainProvider(), baseLayer: false };
+}
 
+function createViewer() {
     viewer = new Cesium.Viewer('cesium-container', {
-        terrain: Cesium.Terrain.fromWorldTerrain(),
+        ...getGlobeOptions(),
         animation: false,
         baseLayerPicker: false,
         fullscreenButton: false,
@@ -49,20 +109,9 @@ export async function initMap() {
         },
     });
 
-    // --- Cyberpunk atmosphere (virtual prison dome - bright but artificial) ---
-    viewer.scene.backgroundColor = Cesium.Color.fromCssColorString('#1e1e3f');
-    viewer.scene.globe.baseColor = Cesium.Color.fromCssColorString('#1a1a35');
-    viewer.scene.fog.enabled = true;
-    viewer.scene.fog.density = 0.00005;
-    viewer.scene.fog.minimumBrightness = 0.5; // Bright artificial fog
+    // Atmosphere, light and weather effects follow the environment presets
     viewer.scene.globe.enableLighting = false; // Disable shadows for brighter look
-
-    // Bright ambient-like light (no harsh shadows)
-    viewer.scene.light = new Cesium.DirectionalLight({
-        direction: new Cesium.Cartesian3(0.3, 0.3, -0.9),
-        color: new Cesium.Color(1.0, 1.0, 1.0, 1.0),
-        intensity: 3.0,
-    });
+    setupEnvironment(viewer.scene);
 
     // --- Performance optimizations ---
     const scene = viewer.scene;
@@ -81,95 +130,212 @@ export async function initMap() {
     scene.debugShowFramesPerSecond = false;
     scene.postProcessStages.fxaa.enabled = true;
 
-    // Load PLATEAU 3D Tiles
-    await loadPlateauTiles();
+    // Areas follow the camera; frames are counted for the performance HUD
+    viewer.camera.moveEnd.addEventListener(() => updateStreaming());
+    scene.postRender.addEventListener(() => { frameCount++; });
+    scene.preRender.addEventListener(stepCameraPath);
+}
 
-    // Set initial camera
+/**
+ * Jump to an area's default view
+ * @param {Object} camera - { longitude, latitude, height, heading, pitch }
+ */
+function setCameraView(camera) {
     viewer.camera.flyTo({
-        destination: Cesium.Cartesian3.fromDegrees(139.7670, 35.6810, 15000),
+        destination: Cesium.Cartesian3.fromDegrees(camera.longitude, camera.latitude, camera.height),
         orientation: {
-            heading: Cesium.Math.toRadians(0),
-            pitch: Cesium.Math.toRadians(-60),
+            heading: Cesium.Math.toRadians(camera.heading),
+            pitch: Cesium.Math.toRadians(camera.pitch),
             roll: 0,
         },
         duration: 0,
     });
-
-    mapReady = true;
-    return viewer;
 }
 
 export function isMapReady() { return mapReady; }
 export function getViewer() { return viewer; }
 
+// Tilesets of the current campaign (hidden ones are left out)
+export function getTilesets() { return Object.values(tilesets).filter(tileset => tileset.show); }
+
+/**
+ * Attribute names for the features of a tileset (tilesetRegistry.js dialects)
+ * @param {Cesium.Cesium3DTileset} tileset
+ */
+export function getTilesetDialect(tileset) {
+    return tilesetDialects.get(tileset) || resolveDialect();
+}
+
 /**
- * Load PLATEAU 3D Tiles with performance settings
+ * Ground point at the center of the view
+ * @returns {{ longitude: number, latitude: number }|null} null when the view misses the globe
  */
-async function loadPlateauTiles() {
-    const tilesetOptions = {
-        maximumScreenSpaceError: 8,
-        maximumMemoryUsage: 512,
-        skipLevelOfDetail: true,
-        preferLeaves: true,
-        dynamicScreenSpaceError: true,
-        dynamicScreenSpaceErrorDensity: 0.00278,
-        dynamicScreenSpaceErrorFactor: 4.0,
+export function getViewCenter() {
+    if (!viewer) return null;
+    const canvas = viewer.scene.canvas;
+    const center = new Cesium.Cartesian2(canvas.clientWidth / 2, canvas.clientHeight / 2);
+    const cartesian = viewer.camera.pickEllipsoid(center, viewer.scene.globe.ellipsoid);
+    if (!cartesian) return null;
+    const cartographic = Cesium.Cartographic.fromCartesian(cartesian);
+    return {
+        longitude: Cesium.Math.toDegrees(cartographic.longitude),
+        latitude: Cesium.Math.toDegrees(cartographic.latitude),
     };
+}
 
-    const loadPromises = Object.entries(PLATEAU_TILES).map(async ([area, url]) => {
-        try {
-            const tileset = await Cesium.Cesium3DTileset.fromUrl(url, tilesetOptions);
+// Ground points the view covers: below the camera and at the centre of the screen
+function getViewPoints() {
+    const { longitude, latitude } = viewer.camera.positionCartographic;
+    const below = { longitude: Cesium.Math.toDegrees(longitude), latitude: Cesium.Math.toDegrees(latitude) };
+    return [below, getViewCenter()].filter(Boolean);
+}
 
-            // Show original textures without color overlay
-            // (cyberpunk feel comes from lighting and atmosphere instead)
+/**
+ * How far an area is from what the game needs (0 when a pinned stage stands in it)
+ * @returns {number} metres, Infinity when it is not part of the campaign
+ */
+function getAreaDistance(area, points) {
+    if (!campaignAreas.includes(area)) return Infinity;
+    if (pinnedLocations.some(location => isInBounds(location, area.bounds))) return 0;
+    return Math.min(...points.map(point => distanceToBounds(point, area.bounds)));
+}
 
+/**
+ * Load an area's tileset once (concurrent calls share the request)
+ * @returns {Promise<Cesium.Cesium3DTileset|null>}
+ */
+function loadArea(area) {
+    if (tilesets[area.id]) return Promise.resolve(tilesets[area.id]);
+    if (loadingAreas[area.id]) return loadingAreas[area.id];
+
+    const source = getTilesSource();
+    const sourceUrl = getTilesetUrl(area.url, source);
+    loadingAreas[area.id] = Cesium.Cesium3DTileset.fromUrl(sourceUrl, TILESET_OPTIONS)
+        .then(tileset => {
+            // Original textures unless the environment paints the buildings
+            // (the cyberpunk feel comes from lighting and atmosphere instead)
+            styleBuildings(tileset, environment.buildings);
             viewer.scene.primitives.add(tileset);
-        } catch (err) {
-            console.warn(`${area} tiles unavailable`);
-        }
-    });
+            tilesets[area.id] = tileset;
+            tilesetDialects.set(tileset, resolveDialect(area.dialect));
+            tilesetTileCounts.set(tileset, 0);
+            tileset.tileLoad.addEventListener(() => {
+                tilesetTileCounts.set(tileset, tilesetTileCounts.get(tileset) + 1);
+            });
+            tileset.tileUnload.addEventListener(() => {
+                tilesetTileCounts.set(tileset, tilesetTileCounts.get(tileset) - 1);
+            });
+            // The view may have moved on while it loaded
+            tileset.show = getAreaDistance(area, getViewPoints()) <= LOAD_DISTANCE;
+            return tileset;
+        })
+        .catch(() => {
+            unavailableAreas.add(area.id);
+            console.warn(`${area.id} tiles unavailable (${sourceUrl})${source === 'local' ? ' -- cache them with npm run cache-tiles' : ''}`);
+            return null;
+        })
+        .finally(() => {
+            delete loadingAreas[area.id];
+        });
+    return loadingAreas[area.id];
+}
 
-    await Promise.all(loadPromises);
+function unloadArea(id) {
+    // Removing a primitive destroys it, freeing its tiles
+    viewer.scene.primitives.remove(tilesets[id]);
+    delete tilesets[id];
 }
 
 /**
- * Fly camera to VIEW a landmark (uses lookAt for reliable targeting)
+ * Load and show the campaign areas near the view, hide the ones farther away
+ * and destroy the distant ones (and any left from another campaign)
  */
-export function flyToLandmark(stage) {
+async function updateStreaming() {
     if (!viewer) return;
+    const points = getViewPoints();
+    const areasById = Object.fromEntries(campaignAreas.map(area => [area.id, area]));
+    Object.keys(tilesets).forEach(id => {
+        const distance = areasById[id] ? getAreaDistance(areasById[id], points) : Infinity;
+        if (distance > UNLOAD_DISTANCE) unloadArea(id);
+        else tilesets[id].show = distance <= LOAD_DISTANCE;
+    });
 
-    const { location, cameraOffset } = stage;
-    const range = cameraOffset.range || 600;
+    const loads = campaignAreas
+        .filter(area => !unavailableAreas.has(area.id) && getAreaDistance(area, points) <= LOAD_DISTANCE)
+        .map(loadArea);
+    await Promise.all(loads);
+}
 
-    // Target point (the landmark)
-    const targetPosition = Cesium.Cartesian3.fromDegrees(
-        location.longitude,
-        location.latitude,
-        (location.height || 200) / 2 // Look at middle of building
-    );
+/**
+ * Keep the areas under these locations loaded whatever the camera does (the
+ * current stage, plus the next one while advancing) and load them now
+ * @param {Array<{ longitude: number, latitude: number }>} locations
+ */
+export async function streamAround(locations) {
+    pinnedLocations = locations.filter(Boolean);
+    await updateStreaming();
+}
 
-    // Use lookAt with heading/pitch/range for reliable camera positioning
-    const heading = Cesium.Math.toRadians(cameraOffset.heading);
-    const pitch = Cesium.Math.toRadians(cameraOffset.pitch);
+/**
+ * Wait until every shown tileset has the tiles the current view needs
+ * @param {number} timeout - Seconds to wait at most
+ * @returns {Promise<boolean>} false when it timed out (or there is no map)
+ */
+export function waitForTiles(timeout = 10) {
+    if (!viewer) return Promise.resolve(false);
+    const start = Cesium.getTimestamp();
+    return new Promise(resolve => {
+        // tilesLoaded is updated as each frame is rendered
+        const removeListener = viewer.scene.postRender.addEventListener(() => {
+            const loaded = getTilesets().every(tileset => tileset.tilesLoaded);
+            if (loaded || Cesium.getTimestamp() - start > timeout * 1000) {
+                removeListener();
+                resolve(loaded);
+            }
+        });
+    });
+}
 
-    viewer.camera.flyTo({
-        destination: targetPosition,
-        orientation: {
-            heading: heading,
-            pitch: pitch,
-            roll: 0,
-        },
-        duration: 3.0,
-        complete: () => {
-            // After flying, use lookAt to ensure landmark is centered
-            viewer.camera.lookAt(
-                targetPosition,
-                new Cesium.HeadingPitchRange(heading, pitch, range)
-            );
-            // Unlock camera for user control
-            viewer.camera.lookAtTransform(Cesium.Matrix4.IDENTITY);
-        }
+/**
+ * Streaming state for the performance HUD; fps covers the time since the previous call
+ * @returns {{ fps: number|null, areas: Object[], tiles: number, memoryBytes: number, heapBytes: number|null }}
+ */
+export function getPerformanceStats() {
+    const now = performance.now();
+    const fps = viewer && frameCountSince ? Math.round(frameCount * 1000 / (now - frameCountSince)) : null;
+    frameCount = 0;
+    frameCountSince = now;
+
+    const areas = campaignAreas.map(area => {
+        const tileset = tilesets[area.id];
+        const state = tileset ? (tileset.show ? 'shown' : 'hidden')
+            : loadingAreas[area.id] ? 'loading'
+                : unavailableAreas.has(area.id) ? 'unavailable' : 'unloaded';
+        return {
+            id: area.id,
+            state,
+            // Counted from the tileLoad/tileUnload events (see loadArea)
+            tiles: tileset ? tilesetTileCounts.get(tileset) : 0,
+            memoryBytes: tileset ? tileset.totalMemoryUsageInBytes : 0,
+        };
     });
+    return {
+        fps,
+        areas,
+        tiles: areas.reduce((sum, area) => sum + area.tiles, 0),
+        memoryBytes: areas.reduce((sum, area) => sum + area.memoryBytes, 0),
+        // Chrome only
+        heapBytes: performance.memory ? performance.memory.usedJSHeapSize : null,
+    };
+}
+
+/**
+ * Fly the camera into a stage: its intro fly-through (cameraPaths.js), then
+ * its cameraOffset view of the landmark
+ * @returns {Promise<boolean>} see playCameraPath
+ */
+export function flyToLandmark(stage) {
+    return playCameraPath(getStageCameraPath(stage));
 }
 
 /**
@@ -211,81 +377,479 @@ export function addLandmarkMarker(stage) {
 
 export function clearMarkers() {
     if (viewer) viewer.entities.removeAll();
+    pinEntity = null;
 }
 
 /**
- * Fly camera to look up at the sky (for ending scene)
+ * Surface under a screen position (building roofs included), else the ellipsoid
+ * @returns {Cesium.Cartesian3|undefined}
+ */
+function pickSurface(screenPosition) {
+    return (viewer.scene.pickPositionSupported && viewer.scene.pickPosition(screenPosition))
+        || viewer.camera.pickEllipsoid(screenPosition, viewer.scene.globe.ellipsoid);
+}
+
+/**
+ * Let the player drop a pin on the map (pin-format puzzles).
+ * Each click moves the pin; onDrop receives its { longitude, latitude }.
+ * @param {Function} onDrop - Called with the pin position
  */
-export function flyToSky() {
+export function enablePinDrop(onDrop) {
     if (!viewer) return;
+    disablePinDrop();
+
+    pinHandler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+    pinHandler.setInputAction((movement) => {
+        const position = pickSurface(movement.position);
+        if (!position) return;
+
+        const carto = Cesium.Cartographic.fromCartesian(position);
+        if (pinEntity) viewer.entities.remove(pinEntity);
+        pinEntity = viewer.entities.add({
+            position,
+            point: {
+                pixelSize: 12,
+                color: Cesium.Color.fromCssColorString('#ff00ff'),
+                outlineColor: Cesium.Color.fromCssColorString('#ff00ff').withAlpha(0.3),
+                outlineWidth: 8,
+                disableDepthTestDistance: Number.POSITIVE_INFINITY,
+            },
+        });
+        onDrop({
+            longitude: Cesium.Math.toDegrees(carto.longitude),
+            latitude: Cesium.Math.toDegrees(carto.latitude),
+        });
+    }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+}
+
+/**
+ * Stop pin dropping and remove the pin
+ */
+export function disablePinDrop() {
+    if (pinHandler) {
+        pinHandler.destroy();
+        pinHandler = null;
+    }
+    if (pinEntity && viewer) viewer.entities.remove(pinEntity);
+    pinEntity = null;
+}
 
-    // Position above Shinjuku, looking up at the sky
-    const position = Cesium.Cartesian3.fromDegrees(139.6917, 35.6895, 400);
+/**
+ * Let the stage editor place a landmark: each click reports the surface point
+ * under the cursor as a stage location (height: roof or ground, metres)
+ * @param {Function} onPick - Called with { longitude, latitude, height }
+ */
+export function enableLocationPick(onPick) {
+    if (!viewer) return;
+    disableLocationPick();
+
+    pickHandler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+    pickHandler.setInputAction((movement) => {
+        const position = pickSurface(movement.position);
+        if (!position) return;
+
+        const carto = Cesium.Cartographic.fromCartesian(position);
+        onPick({
+            longitude: Number(Cesium.Math.toDegrees(carto.longitude).toFixed(6)),
+            latitude: Number(Cesium.Math.toDegrees(carto.latitude).toFixed(6)),
+            height: Math.max(0, Math.round(carto.height)),
+        });
+    }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+}
 
-    viewer.camera.flyTo({
-        destination: position,
-        orientation: {
-            heading: Cesium.Math.toRadians(0),
-            pitch: Cesium.Math.toRadians(30), // Look up at sky more
-            roll: 0,
-        },
-        duration: 5.0, // Slower camera movement
+export function disableLocationPick() {
+    if (pickHandler) {
+        pickHandler.destroy();
+        pickHandler = null;
+    }
+}
+
+/**
+ * The current view as a stage cameraOffset around a location: the heading,
+ * pitch and range that make flyToLandmark reproduce it
+ * @param {Object} location - Stage location
+ * @returns {{ heading: number, pitch: number, range: number }|null}
+ */
+export function getCameraOffset(location) {
+    if (!viewer) return null;
+
+    // Same target as flyToLandmark: the middle of the building
+    const { longitude, latitude, height } = getLandmarkTarget(location);
+    const target = Cesium.Cartesian3.fromDegrees(longitude, latitude, height);
+    const toTarget = Cesium.Cartesian3.subtract(target, viewer.camera.positionWC, new Cesium.Cartesian3());
+
+    // Look direction in the target's east-north-up frame
+    const toLocal = Cesium.Matrix4.inverseTransformation(Cesium.Transforms.eastNorthUpToFixedFrame(target), new Cesium.Matrix4());
+    const local = Cesium.Matrix4.multiplyByPointAsVector(toLocal, toTarget, new Cesium.Cartesian3());
+    const range = Cesium.Cartesian3.magnitude(local);
+    if (range === 0) return null;
+
+    const heading = (Cesium.Math.toDegrees(Math.atan2(local.x, local.y)) + 360) % 360;
+    const pitch = Cesium.Math.toDegrees(Math.asin(local.z / range));
+    return {
+        heading: Math.round(heading) % 360,
+        pitch: Math.round(Math.min(0, Math.max(-90, pitch))),
+        range: Math.round(Math.max(50, range)),
+    };
+}
+
+/**
+ * Fly camera to look up at the sky (for ending scene)
+ * @param {Object} location - Where to look up from (the last stage)
+ * @returns {Promise<boolean>} see playCameraPath
+ */
+export function flyToSky(location) {
+    // Above the location, looking up at the sky; slow for the ending
+    return playCameraPath([{
+        position: { longitude: location.longitude, latitude: location.latitude, height: 400 },
+        orientation: { heading: 0, pitch: 30, roll: 0 },
+        duration: 5.0,
+    }]);
+}
+
+// ----- Environment (weather / time of day) -----
+
+// Slanted streaks in three depth layers, falling with `time`
+const RAIN_SHADER = `
+uniform sampler2D colorTexture;
+uniform float amount;
+uniform float time;
+uniform vec4 tint;
+in vec2 v_textureCoordinates;
+
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main(void) {
+    vec4 color = texture(colorTexture, v_textureCoordinates);
+    vec2 uv = v_textureCoordinates * vec2(czm_viewport.z / czm_viewport.w, 1.0);
+    float rain = 0.0;
+    for (int layer = 0; layer < 3; layer++) {
+        float depth = float(layer);
+        vec2 p = vec2((uv.x + uv.y * 0.12) * (70.0 + depth * 45.0), uv.y * 3.0 + time * (2.2 + depth * 0.8));
+        float column = floor(p.x);
+        float y = fract(p.y + hash(vec2(column, depth)));
+        float drop = step(0.55, hash(vec2(column, floor(p.y + hash(vec2(column, depth))) + depth * 17.0)));
+        float width = 1.0 - smoothstep(0.0, 0.12, abs(fract(p.x) - 0.5));
+        rain += drop * width * smoothstep(0.7, 1.0, 1.0 - y) / (1.0 + depth);
+    }
+    vec3 rgb = color.rgb * (1.0 - 0.25 * amount);
+    out_FragColor = vec4(mix(rgb, tint.rgb, clamp(rain * amount * 0.6, 0.0, 1.0)), color.a);
+}
+`;
+
+// Rolling CRT scanlines with a slight colour split
+const SCANLINE_SHADER = `
+uniform sampler2D colorTexture;
+uniform float amount;
+uniform float time;
+in vec2 v_textureCoordinates;
+
+void main(void) {
+    vec2 shift = vec2(0.0015 * amount, 0.0);
+    vec4 color = texture(colorTexture, v_textureCoordinates);
+    color.r = texture(colorTexture, v_textureCoordinates + shift).r;
+    color.b = texture(colorTexture, v_textureCoordinates - shift).b;
+    float line = 0.5 + 0.5 * sin((gl_FragCoord.y + time * 40.0) * 1.6);
+    out_FragColor = vec4(color.rgb * (1.0 - 0.35 * amount * line), color.a);
+}
+`;
+
+let environment = null; // scene values now (see resolveEnvironment)
+let environmentName = null; // preset reached, or being blended to
+let transition = null; // { from, to, start, duration, resolve }
+let rainStage = null;
+let scanlineStage = null;
+
+/**
+ * Preset as Cesium values, ready to blend
+ * @returns {Object|null} null for an unknown preset
+ */
+function resolveEnvironment(name) {
+    const preset = ENVIRONMENT_PRESETS[name];
+    if (!preset) return null;
+    const color = css => Cesium.Color.fromCssColorString(css);
+    return {
+        background: color(preset.background),
+        globe: color(preset.globe),
+        fogDensity: preset.fog.density,
+        fogBrightness: preset.fog.brightness,
+        lightColor: color(preset.light.color),
+        lightIntensity: preset.light.intensity,
+        lightDirection: Cesium.Cartesian3.normalize(Cesium.Cartesian3.fromArray(preset.light.direction), new Cesium.Cartesian3()),
+        buildings: preset.buildings,
+        rain: preset.rain.amount,
+        rainColor: color(preset.rain.color),
+        scanlines: preset.scanlines,
+    };
+}
+
+// Values `t` (0-1) of the way from one environment to another
+function blendEnvironment(from, to, t) {
+    const lerpColor = key => Cesium.Color.lerp(from[key], to[key], t, new Cesium.Color());
+    const lerp = key => Cesium.Math.lerp(from[key], to[key], t);
+    const direction = Cesium.Cartesian3.lerp(from.lightDirection, to.lightDirection, t, new Cesium.Cartesian3());
+    return {
+        background: lerpColor('background'),
+        globe: lerpColor('globe'),
+        fogDensity: lerp('fogDensity'),
+        fogBrightness: lerp('fogBrightness'),
+        lightColor: lerpColor('lightColor'),
+        lightIntensity: lerp('lightIntensity'),
+        lightDirection: Cesium.Cartesian3.normalize(direction, direction),
+        buildings: t < 1 ? from.buildings : to.buildings,
+        rain: lerp('rain'),
+        rainColor: lerpColor('rainColor'),
+        scanlines: lerp('scanlines'),
+    };
+}
+
+function styleBuildings(tileset, color) {
+    tileset.style = color ? new Cesium.Cesium3DTileStyle({ color: `color("${color}", 1.0)` }) : undefined;
+}
+
+function applyEnvironment(values) {
+    const scene = viewer.scene;
+    scene.backgroundColor = values.background;
+    scene.globe.baseColor = values.globe;
+    scene.fog.enabled = values.fogDensity > 0;
+    scene.fog.density = values.fogDensity;
+    scene.fog.minimumBrightness = values.fogBrightness;
+    scene.light.color = values.lightColor;
+    scene.light.intensity = values.lightIntensity;
+    scene.light.direction = values.lightDirection;
+    rainStage.enabled = values.rain > 0;
+    scanlineStage.enabled = values.scanlines > 0;
+
+    // Restyling re-colours every loaded feature, so it only happens on change
+    if (!environment || values.buildings !== environment.buildings) {
+        Object.values(tilesets).forEach(tileset => styleBuildings(tileset, values.buildings));
+    }
+    environment = values;
+}
+
+function endTransition(reached) {
+    if (!transition) return;
+    const { resolve } = transition;
+    transition = null;
+    resolve(reached);
+}
+
+// Runs before every frame: transitions advance with the render clock, not timers
+function stepEnvironment() {
+    if (!transition) return;
+    const t = Math.min(1, (Cesium.getTimestamp() - transition.start) / transition.duration);
+    applyEnvironment(blendEnvironment(transition.from, transition.to, t * t * (3 - 2 * t)));
+    if (t >= 1) endTransition(true);
+}
+
+function setupEnvironment(scene) {
+    scene.light = new Cesium.DirectionalLight({ direction: new Cesium.Cartesian3(0, 0, -1) });
+    // Uniforms are read every frame, so the effects follow the blend
+    const time = () => (Cesium.getTimestamp() / 1000) % 1000;
+    rainStage = scene.postProcessStages.add(new Cesium.PostProcessStage({
+        name: 'environment_rain',
+        fragmentShader: RAIN_SHADER,
+        uniforms: { amount: () => environment.rain, time, tint: () => environment.rainColor },
+    }));
+    scanlineStage = scene.postProcessStages.add(new Cesium.PostProcessStage({
+        name: 'environment_scanlines',
+        fragmentShader: SCANLINE_SHADER,
+        uniforms: { amount: () => environment.scanlines, time },
+    }));
+    scene.preRender.addEventListener(stepEnvironment);
+    resetEnvironment();
+}
+
+/**
+ * Blend the scene into a weather / time-of-day preset (environments.js). A new
+ * call takes over from wherever the running blend has got to.
+ * @param {string} name - ENVIRONMENT_PRESETS key
+ * @param {Object} options
+ * @param {number} options.duration - Seconds (0 switches at once)
+ * @returns {Promise<boolean>} true once the preset is reached, false if the blend
+ *          was cancelled (another setEnvironment, resetEnvironment) or the preset is unknown
+ */
+export function setEnvironment(name, { duration = 3 } = {}) {
+    if (!viewer) return Promise.resolve(false);
+    const target = resolveEnvironment(name);
+    if (!target) {
+        console.warn(`Unknown environment "${name}" (known: ${ENVIRONMENT_NAMES.join(', ')})`);
+        return Promise.resolve(false);
+    }
+    if (name === environmentName && !transition) return Promise.resolve(true);
+
+    endTransition(false);
+    environmentName = name;
+    if (duration <= 0) {
+        applyEnvironment(target);
+        return Promise.resolve(true);
+    }
+    return new Promise(resolve => {
+        transition = { from: environment, to: target, start: Cesium.getTimestamp(), duration: duration * 1000, resolve };
     });
 }
 
 /**
- * Gradually change weather to clear sky for ending (animation over 3 seconds)
+ * Cancel any blend and return to the default preset at once (new game, editor)
  */
-export async function setClearSkyWeather() {
+export function resetEnvironment() {
     if (!viewer) return;
+    endTransition(false);
+    environmentName = DEFAULT_ENVIRONMENT;
+    applyEnvironment(resolveEnvironment(DEFAULT_ENVIRONMENT));
+}
 
-    // Start camera flying up to show sky
-    flyToSky();
+/**
+ * @returns {string|null} preset reached, or being blended to
+ */
+export function getEnvironmentName() {
+    return environmentName;
+}
 
-    const duration = 6000; // 6 seconds (longer for dramatic effect)
-    const steps = 120;
-    const interval = duration / steps;
+// ----- Camera paths -----
 
-    // Starting colors (cyberpunk)
-    const startBg = { r: 0.12, g: 0.12, b: 0.25 }; // #1e1e3f
-    const endBg = { r: 0.53, g: 0.81, b: 0.92 };   // #87CEEB
+// Highest lift (m) when the camera travels between distant keyframes
+const MAX_PATH_LIFT = 1500;
 
-    // Gradually transition
-    for (let i = 0; i <= steps; i++) {
-        const t = i / steps;
+let cameraPath = null; // { keyframes, index, segment, resolve }
 
-        // Interpolate background color
-        const r = startBg.r + (endBg.r - startBg.r) * t;
-        const g = startBg.g + (endBg.g - startBg.g) * t;
-        const b = startBg.b + (endBg.b - startBg.b) * t;
+// Camera looking at a target from heading/pitch/range, framed as cameraOffset is
+function getTargetPose(target, heading, pitch, range) {
+    const center = Cesium.Cartesian3.fromDegrees(target.longitude, target.latitude, target.height || 0);
+    const h = Cesium.Math.toRadians(heading);
+    const p = Cesium.Math.toRadians(pitch);
+    // Look direction in the target's east-north-up frame (inverse of getCameraOffset)
+    const look = new Cesium.Cartesian3(Math.sin(h) * Math.cos(p), Math.cos(h) * Math.cos(p), Math.sin(p));
+    const local = Cesium.Cartesian3.multiplyByScalar(look, -range, new Cesium.Cartesian3());
+    const position = Cesium.Matrix4.multiplyByPoint(Cesium.Transforms.eastNorthUpToFixedFrame(center), local, new Cesium.Cartesian3());
+    return { position, heading: h, pitch: p, roll: 0 };
+}
 
-        viewer.scene.backgroundColor = new Cesium.Color(r, g, b, 1.0);
-        viewer.scene.globe.baseColor = new Cesium.Color(r, g, b, 1.0);
+// Absolute pose of a keyframe (angles in radians)
+function getKeyframePose(keyframe) {
+    if (keyframe.target) return getTargetPose(keyframe.target, keyframe.heading, keyframe.pitch, keyframe.range);
+    const { longitude, latitude, height } = keyframe.position;
+    const { heading = 0, pitch = -90, roll = 0 } = keyframe.orientation || {};
+    return {
+        position: Cesium.Cartesian3.fromDegrees(longitude, latitude, height),
+        heading: Cesium.Math.toRadians(heading),
+        pitch: Cesium.Math.toRadians(pitch),
+        roll: Cesium.Math.toRadians(roll),
+    };
+}
 
-        // Reduce fog gradually
-        viewer.scene.fog.density = 0.00005 * (1 - t);
-        viewer.scene.fog.minimumBrightness = 0.5 + 0.5 * t;
+function getCameraPose() {
+    const camera = viewer.camera;
+    return { position: Cesium.Cartesian3.clone(camera.positionWC), heading: camera.heading, pitch: camera.pitch, roll: camera.roll };
+}
 
-        // Increase light intensity
-        viewer.scene.light.intensity = 3.0 + 2.0 * t;
+function isSameTarget(a, b) {
+    return a.longitude === b.longitude && a.latitude === b.latitude && (a.height || 0) === (b.height || 0);
+}
 
-        await new Promise(resolve => setTimeout(resolve, interval));
-    }
+// Pose `t` (0-1) of the way along a straight segment, turning the short way round
+function interpolatePose(from, to, t) {
+    const start = Cesium.Cartographic.fromCartesian(from.position);
+    const end = Cesium.Cartographic.fromCartesian(to.position);
+    const distance = Cesium.Cartesian3.distance(from.position, to.position);
+    const lift = Math.sin(Math.PI * t) * Math.min(MAX_PATH_LIFT, distance * 0.2);
+    const turn = (a, b) => a + Cesium.Math.negativePiToPi(b - a) * t;
+    return {
+        position: Cesium.Cartesian3.fromRadians(
+            Cesium.Math.lerp(start.longitude, end.longitude, t),
+            Cesium.Math.lerp(start.latitude, end.latitude, t),
+            Cesium.Math.lerp(start.height, end.height, t) + lift,
+        ),
+        heading: turn(from.heading, to.heading),
+        pitch: Cesium.Math.lerp(from.pitch, to.pitch, t),
+        roll: turn(from.roll, to.roll),
+    };
+}
 
-    // Final state
-    viewer.scene.fog.enabled = false;
-    viewer.scene.light = new Cesium.DirectionalLight({
-        direction: new Cesium.Cartesian3(0.5, 0.5, -1.0),
-        color: new Cesium.Color(1.0, 1.0, 0.95, 1.0), // Warm sunlight
-        intensity: 5.0,
+function setCameraPose(pose) {
+    viewer.camera.setView({
+        destination: pose.position,
+        orientation: { heading: pose.heading, pitch: pose.pitch, roll: pose.roll },
     });
+}
 
-    // Remove cyberpunk styling from buildings
-    viewer.scene.primitives._primitives.forEach(p => {
-        if (p instanceof Cesium.Cesium3DTileset) {
-            p.style = new Cesium.Cesium3DTileStyle({
-                color: 'color("white", 1.0)'
-            });
-        }
+function startSegment() {
+    const { keyframes, index } = cameraPath;
+    const keyframe = keyframes[index];
+    const previous = keyframes[index - 1];
+    cameraPath.segment = {
+        // Around the same target, heading/pitch/range are blended instead (orbits)
+        orbitFrom: previous && previous.target && keyframe.target && isSameTarget(previous.target, keyframe.target) ? previous : null,
+        from: getCameraPose(),
+        to: getKeyframePose(keyframe),
+        keyframe,
+        start: Cesium.getTimestamp(),
+        duration: (keyframe.duration || 0) * 1000,
+        easing: CAMERA_EASINGS[keyframe.easing] || CAMERA_EASINGS[DEFAULT_EASING],
+    };
+}
+
+function endCameraPath(completed) {
+    if (!cameraPath) return;
+    const { resolve } = cameraPath;
+    cameraPath = null;
+    viewer.scene.screenSpaceCameraController.enableInputs = true;
+    resolve(completed);
+}
+
+// Runs before every frame, like stepEnvironment
+function stepCameraPath() {
+    if (!cameraPath) return;
+    const { segment } = cameraPath;
+    const progress = segment.duration > 0 ? Math.min(1, (Cesium.getTimestamp() - segment.start) / segment.duration) : 1;
+    const t = segment.easing(progress);
+
+    const { orbitFrom: from, keyframe: to } = segment;
+    setCameraPose(from
+        ? getTargetPose(to.target, Cesium.Math.lerp(from.heading, to.heading, t), Cesium.Math.lerp(from.pitch, to.pitch, t), Cesium.Math.lerp(from.range, to.range, t))
+        : interpolatePose(segment.from, segment.to, t));
+
+    if (progress < 1) return;
+    cameraPath.index++;
+    if (cameraPath.index < cameraPath.keyframes.length) startSegment();
+    else endCameraPath(true);
+}
+
+/**
+ * Move the camera through keyframes (cameraPaths.js), starting from the current
+ * view. Mouse camera controls are off while it plays; a new path replaces
+ * the running one.
+ * @param {Object[]} keyframes
+ * @returns {Promise<boolean>} true when the path reaches its last keyframe, false
+ *          when it is skipped or stopped (or there is no map)
+ */
+export function playCameraPath(keyframes) {
+    if (!viewer || keyframes.length === 0) return Promise.resolve(false);
+    endCameraPath(false);
+    viewer.camera.cancelFlight();
+    viewer.scene.screenSpaceCameraController.enableInputs = false;
+    return new Promise(resolve => {
+        cameraPath = { keyframes, index: 0, segment: null, resolve };
+        startSegment();
     });
 }
+
+/**
+ * Jump to the end of the running camera path (the skip button)
+ * @returns {boolean} false when no path was playing
+ */
+export function skipCameraPath() {
+    if (!cameraPath) return false;
+    setCameraPose(getKeyframePose(cameraPath.keyframes[cameraPath.keyframes.length - 1]));
+    endCameraPath(false);
+    return true;
+}
+
+/**
+ * Stop the running camera path where it is (restart)
+ */
+export function stopCameraPath() {
+    endCameraPath(false);
+}
@@ -0,0 +1,235 @@
+// providers/chromePrompt.js -- Chrome built-in Prompt API adapter (Gemini Nano)
+//
+// Two API shapes are supported:
+//   current  the `LanguageModel` global: availability() → 'available' |
+//            'downloadable' | 'downloading' | 'unavailable'; system prompt
+//            passed as an initial prompt
+//   legacy   `window.ai.languageModel`: capabilities().available → 'readily' |
+//            'after-download' | 'no'; system prompt passed as `systemPrompt`
+// Both report model download progress through a `monitor`, forwarded to
+// options.onStatus. A chat whose session runs out of context (quota error,
+// overflow event, or nearly full) is given a fresh session with the same
+// system prompt; the judge does not need the dropped turns. Single-shot
+// prompt()/promptStream() calls share one such chat, since creating a session
+// is the expensive step on device.
+// When neither shape exists, isAvailable() resolves false and the engine
+// skips edge processing.
+
+// Recreate the session before a call once this share of its context is used
+const CONTEXT_RECREATE_RATIO = 0.9;
+
+const LEGACY_AVAILABILITY = { readily: 'available', 'after-download': 'downloadable', no: 'unavailable' };
+
+function getLanguageModelApi() {
+    if (typeof globalThis.LanguageModel !== 'undefined' && globalThis.LanguageModel) {
+        return { shape: 'current', api: globalThis.LanguageModel };
+    }
+    if (typeof window !== 'undefined' && window.ai && window.ai.languageModel) {
+        return { shape: 'legacy', api: window.ai.languageModel };
+    }
+    return null;
+}
+
+/**
+ * @returns {Promise<'available' | 'downloadable' | 'downloading' | 'unavailable'>}
+ */
+async function getAvailability(entry) {
+    if (entry.shape === 'current') return entry.api.availability();
+    const capabilities = await entry.api.capabilities();
+    return LEGACY_AVAILABILITY[capabilities.available] || 'unavailable';
+}
+
+function isContextExhausted(error) {
+    return !!error && (error.name === 'QuotaExceededError' || /quota|context (window|overflow)|too (long|large)/i.test(error.message || ''));
+}
+
+/**
+ * Normalise Prompt API streams: older builds yield the whole text so far,
+ * newer ones yield deltas. Always emit deltas.
+ */
+async function* deltaStream(stream) {
+    let previous = '';
+    for await (const chunk of stream) {
+        if (previous && chunk.startsWith(previous)) {
+            const delta = chunk.slice(previous.length);
+            previous = chunk;
+            if (delta) yield delta;
+        } else {
+            previous += chunk;
+            yield chunk;
+        }
+    }
+}
+
+/**
+ * Chat over a Prompt API session that is replaced when its context runs out
+ */
+class EdgeChat {
+    /**
+     * @param {Function} createSession - () => Promise<session>
+     * @param {Function} onRecreate - Called each time the session is replaced
+     */
+    constructor(createSession, onRecreate) {
+        this.createSession = createSession;
+        this.onRecreate = onRecreate;
+        this.session = null;
+        this.overflowed = false;
+    }
+
+    async init() {
+        this.session = await this.createSession();
+        this._watchOverflow(this.session);
+        return this;
+    }
+
+    _watchOverflow(session) {
+        if (!session.addEventListener) return;
+        const onOverflow = () => { this.overflowed = true; };
+        session.addEventListener('contextoverflow', onOverflow);
+        session.addEventListener('quotaoverflow', onOverflow);
+    }
+
+    _isNearlyFull() {
+        const used = this.session.inputUsage !== undefined ? this.session.inputUsage : this.session.tokensSoFar;
+        const quota = this.session.inputQuota !== undefined ? this.session.inputQuota : this.session.maxTokens;
+        return used > 0 && quota > 0 && used / quota >= CONTEXT_RECREATE_RATIO;
+    }
+
+    async _recreate() {
+        if (this.session && this.session.destroy) this.session.destroy();
+        this.session = null;
+        this.overflowed = false;
+        await this.init();
+        if (this.onRecreate) this.onRecreate();
+    }
+
+    async _getSession() {
+        if (!this.session || this.overflowed || this._isNearlyFull()) await this._recreate();
+        return this.session;
+    }
+
+    async send(text) {
+        try {
+            return { text: await (await this._getSession()).prompt(text), usage: null };
+        } catch (error) {
+            if (!isContextExhausted(error)) throw error;
+            await this._recreate();
+            return { text: await this.session.prompt(text), usage: null };
+        }
+    }
+
+    async *sendStream(text) {
+        let started = false;
+        try {
+            for await (const chunk of deltaStream((await this._getSession()).promptStreaming(text))) {
+                started = true;
+                yield chunk;
+            }
+        } catch (error) {
+            // A reply already shown cannot be restarted on a fresh session
+            if (started || !isContextExhausted(error)) throw error;
+            await this._recreate();
+            yield* deltaStream(this.session.promptStreaming(text));
+        }
+    }
+
+    destroy() {
+        if (this.session && this.session.destroy) this.session.destroy();
+        this.session = null;
+    }
+}
+
+export class ChromePromptProvider {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onStatus - ({ state, progress }) => void, where state is
+     *        'unavailable' | 'downloadable' | 'downloading' | 'ready' and progress is 0-1
+     *        while downloading
+     */
+    constructor(options = {}) {
+        this.name = 'chrome-prompt';
+        this.onStatus = options.onStatus || null;
+        this.apiShape = null; // 'current' | 'legacy' once detected
+        this.availability = 'unavailable';
+        this.recreatedSessions = 0;
+        this.sharedChats = new Map(); // system prompt → Promise<EdgeChat> (see _getSharedChat)
+    }
+
+    _reportStatus(state, progress = null) {
+        if (this.onStatus) this.onStatus({ state, progress });
+    }
+
+    async isAvailable() {
+        const entry = getLanguageModelApi();
+        if (!entry) return false;
+        this.apiShape = entry.shape;
+        try {
+            this.availability = await getAvailability(entry);
+        } catch (error) {
+            console.warn('GeoAI: Prompt API availability check failed', error);
+            this.availability = 'unavailable';
+        }
+        this._reportStatus(this.availability === 'available' ? 'ready' : this.availability);
+        return this.availability !== 'unavailable';
+    }
+
+    /**
+     * Whether creating a session will first download the model
+     */
+    needsDownload() {
+        return this.availability === 'downloadable' || this.availability === 'downloading';
+    }
+
+    _createSession(entry, systemPrompt) {
+        const monitor = (m) => {
+            m.addEventListener('downloadprogress', (event) => {
+                // Current builds report a 0-1 fraction, legacy ones bytes of a total
+                const progress = event.total > 1 ? event.loaded / event.total : event.loaded;
+                this._reportStatus('downloading', Math.min(1, progress || 0));
+            });
+        };
+        if (entry.shape === 'current') {
+            return entry.api.create({
+                initialPrompts: systemPrompt ? [{ role: 'system', content: systemPrompt }] : [],
+                monitor,
+            });
+        }
+        return entry.api.create(systemPrompt ? { systemPrompt, monitor } : { monitor });
+    }
+
+    async createChat({ systemPrompt } = {}) {
+        const entry = getLanguageModelApi();
+        if (!entry) return null;
+
+        const chat = new EdgeChat(() => this._createSession(entry, systemPrompt), () => {
+            this.recreatedSessions++;
+            console.log('GeoAI: Edge session ran out of context and was recreated');
+        });
+        await chat.init();
+        this.availability = 'available';
+        this._reportStatus('ready');
+        return chat;
+    }
+
+    /**
+     * Chat reused by every single-shot call with this system prompt (concurrent
+     * first calls share its creation; a failed one is retried next time)
+     */
+    _getSharedChat(systemPrompt = '') {
+        if (!this.sharedChats.has(systemPrompt)) {
+            this.sharedChats.set(systemPrompt, this.createChat({ systemPrompt }).catch(error => {
+                this.sharedChats.delete(systemPrompt);
+                throw error;
+            }));
+        }
+        return this.sharedChats.get(systemPrompt);
+    }
+
+    async prompt(text) {
+        return (await this._getSharedChat()).send(text);
+    }
+
+    async *promptStream(text) {
+        yield* (await this._getSharedChat()).sendStream(text);
+    }
+}
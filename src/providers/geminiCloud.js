@@ -0,0 +1,103 @@
+// providers/geminiCloud.js -- Gemini Cloud adapter (@google/generative-ai)
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Extract text from a Gemini response, skipping thought parts of thinking models
+ */
+export function extractResponseText(response) {
+    if (!response) return '';
+    try {
+        const candidates = response.candidates;
+        if (!candidates || candidates.length === 0) return '';
+        const content = candidates[0].content;
+        if (!content || !content.parts) return '';
+        const parts = content.parts;
+        // Get all text parts (filter out thought blocks from thinking models)
+        const textParts = parts.filter(p => p.text && !p.thought);
+        if (textParts.length === 0) {
+            // Fallback: try to get any text
+            const anyText = parts.find(p => p.text);
+            return anyText ? anyText.text : '';
+        }
+        return textParts.map(p => p.text).join('\n');
+    } catch (err) {
+        console.warn('GeoAI: Error extracting response text', err);
+        return '';
+    }
+}
+
+function toUsage(response) {
+    const meta = response && response.usageMetadata;
+    if (!meta) return null;
+    return {
+        inputTokens: meta.promptTokenCount || 0,
+        outputTokens: meta.candidatesTokenCount || 0,
+    };
+}
+
+function toGeminiHistory(history = []) {
+    return history.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] }));
+}
+
+/**
+ * Yield text chunks; the generator's return value is the call's usage
+ */
+async function* streamText(result) {
+    for await (const chunk of result.stream) {
+        const text = extractResponseText(chunk);
+        if (text) yield text;
+    }
+    return toUsage(await result.response);
+}
+
+export class GeminiCloudProvider {
+    /**
+     * @param {Object} config
+     * @param {string} config.apiKey - Gemini API Key
+     * @param {string} config.model - Model name (default: 'gemini-3-flash-preview')
+     * @param {Object} config.generationConfig - temperature / topK / topP / maxOutputTokens
+     */
+    constructor(config = {}) {
+        this.name = 'gemini-cloud';
+        this.model = null;
+
+        if (config.apiKey) {
+            const genAI = new GoogleGenerativeAI(config.apiKey);
+            this.model = genAI.getGenerativeModel({
+                model: config.model || 'gemini-3-flash-preview',
+                generationConfig: config.generationConfig,
+            });
+        }
+    }
+
+    async isAvailable() {
+        return !!this.model;
+    }
+
+    async createChat({ history = [] } = {}) {
+        if (!this.model) return null;
+        const chat = this.model.startChat({ history: toGeminiHistory(history) });
+
+        return {
+            async send(text) {
+                const result = await chat.sendMessage(text);
+                return { text: extractResponseText(result.response), usage: toUsage(result.response) };
+            },
+            async *sendStream(text) {
+                const result = await chat.sendMessageStream(text);
+                return yield* streamText(result);
+            },
+        };
+    }
+
+    async prompt(text) {
+        const result = await this.model.generateContent(text);
+        return { text: extractResponseText(result.response), usage: toUsage(result.response) };
+    }
+
+    async *promptStream(text) {
+        const result = await this.model.generateContentStream(text);
+        return yield* streamText(result);
+    }
+}
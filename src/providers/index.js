@@ -0,0 +1,54 @@
+// providers/index.js -- LLM provider registry
+//
+// Every provider implements the same interface so GeoAIGameMaster never talks
+// to an SDK directly:
+//
+//   provider.name                          'gemini-cloud' | 'chrome-prompt' | 'scripted'
+//   await provider.isAvailable()           → boolean
+//   await provider.createChat({ systemPrompt, history })
+//                                          → chat | null
+//       await chat.send(text, { kind, key })   → { text, usage }
+//       for await (const chunk of chat.sendStream(text, { kind, key })) ...
+//   await provider.prompt(text, { kind, key }) → { text, usage }   (single shot)
+//   for await (const chunk of provider.promptStream(text, { kind, key })) ...
+//
+// `history` is [{ role: 'user' | 'model', text }]. `usage` is
+// { inputTokens, outputTokens } or null when the backend does not report it.
+// Streams may return a usage object as the generator's return value.
+// `kind` / `key` label the call (e.g. 'puzzle' / stage id) for scripted replay.
+
+import { GeminiCloudProvider } from './geminiCloud.js';
+import { ChromePromptProvider } from './chromePrompt.js';
+import { ScriptedProvider } from './scripted.js';
+import scriptedFixture from '../fixtures/scripted-session.json';
+
+export { GeminiCloudProvider, ChromePromptProvider, ScriptedProvider };
+
+/**
+ * Provider name requested by the environment.
+ * `?ai=scripted` in the URL wins over VITE_AI_PROVIDER (default: 'gemini').
+ */
+export function getDefaultProviderName() {
+    if (typeof window !== 'undefined' && window.location) {
+        const fromUrl = new URLSearchParams(window.location.search).get('ai');
+        if (fromUrl) return fromUrl;
+    }
+    return import.meta.env.VITE_AI_PROVIDER || 'gemini';
+}
+
+/**
+ * Create the main (chat) provider by name
+ * @param {string} name - 'gemini' | 'scripted'
+ * @param {Object} config - Passed to the provider constructor
+ */
+export function createProvider(name, config = {}) {
+    switch (name) {
+        case 'scripted':
+            return new ScriptedProvider(config.fixture || scriptedFixture, config);
+        case 'gemini':
+            return new GeminiCloudProvider(config);
+        default:
+            console.warn(`GeoAI: Unknown provider "${name}", using Gemini Cloud`);
+            return new GeminiCloudProvider(config);
+    }
+}
@@ -0,0 +1,86 @@
+// providers/scripted.js -- Deterministic offline provider replaying canned responses
+//
+// Responses come from a fixture keyed by call kind and key:
+//   { "puzzle": { "1": [ {...}, {...} ], "default": [...] }, "narration": { ... }, ... }
+// Each (kind, key) pair cycles through its list in order, so a run is fully
+// reproducible. Object responses are serialised to JSON (e.g. puzzle objects).
+// Every call is recorded in `calls` for regression tests of the engine.
+
+function toText(response) {
+    return typeof response === 'string' ? response : JSON.stringify(response);
+}
+
+export class ScriptedProvider {
+    /**
+     * @param {Object} fixture - Canned responses: { [kind]: { [key]: response[] } }
+     * @param {Object} options
+     * @param {number} options.latencyMs - Simulated delay per response / stream chunk (default: 0)
+     * @param {string} options.defaultResponse - Used when the fixture has no entry
+     */
+    constructor(fixture = {}, options = {}) {
+        this.name = 'scripted';
+        this.fixture = fixture;
+        this.latencyMs = options.latencyMs || 0;
+        this.defaultResponse = options.defaultResponse || fixture.defaultResponse || '[AXIOM] ...';
+        this.calls = [];
+        this.cursors = {};
+    }
+
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * Rewind every response list (start a fresh deterministic run)
+     */
+    reset() {
+        this.calls = [];
+        this.cursors = {};
+    }
+
+    _next(text, { kind = 'default', key = 'default' } = {}) {
+        this.calls.push({ kind, key: String(key), prompt: text });
+
+        const byKind = this.fixture[kind] || {};
+        const listKey = byKind[key] ? String(key) : 'default';
+        const list = byKind[listKey];
+        if (!list || list.length === 0) return this.defaultResponse;
+
+        const cursorId = `${kind}:${listKey}`;
+        const index = this.cursors[cursorId] || 0;
+        this.cursors[cursorId] = index + 1;
+        return toText(list[index % list.length]);
+    }
+
+    async _delay() {
+        if (this.latencyMs > 0) await new Promise(r => setTimeout(r, this.latencyMs));
+    }
+
+    async *_stream(text) {
+        // Split on sentence boundaries so streaming consumers see realistic chunks
+        const chunks = text.match(/[^。！？!?\n]+[。！？!?\n]*/g) || [text];
+        for (const chunk of chunks) {
+            await this._delay();
+            yield chunk;
+        }
+    }
+
+    async createChat() {
+        return {
+            send: async (text, options) => {
+                await this._delay();
+                return { text: this._next(text, options), usage: null };
+            },
+            sendStream: (text, options) => this._stream(this._next(text, options)),
+        };
+    }
+
+    async prompt(text, options) {
+        await this._delay();
+        return { text: this._next(text, options), usage: null };
+    }
+
+    promptStream(text, options) {
+        return this._stream(this._next(text, options));
+    }
+}
@@ -0,0 +1,130 @@
+// puzzleBank.js -- Seeded, non-repeating selection from the offline puzzle bank
+//
+// The engine falls back to the bank (fallbackPuzzles.js) when no backend can
+// generate a puzzle. Selection:
+//   1. puzzles the player has not seen yet (history kept in localStorage, so
+//      it spans sessions); once a stage's puzzles are all seen, its history
+//      is cleared, except that the last one shown is not repeated immediately
+//   2. among those, the ones whose difficulty is closest to the target
+//   3. one of them, chosen by a seeded random generator
+// The same seed and history always give the same choice.
+
+const STORAGE_KEY = 'geoai.puzzleBank.seen';
+
+/**
+ * Small deterministic PRNG (mulberry32)
+ * @param {number} seed - 32-bit integer
+ * @returns {Function} () => [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function defaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (e) {
+        // Storage can be blocked (privacy mode, sandboxed iframes)
+        return null;
+    }
+}
+
+export class PuzzleBank {
+    /**
+     * @param {Object} options
+     * @param {number} options.seed - Seed for the selection PRNG (default: random)
+     * @param {Storage|null} options.storage - Where the seen history is kept (default: localStorage)
+     */
+    constructor(options = {}) {
+        this.seed = options.seed !== undefined ? options.seed : Math.floor(Math.random() * 2 ** 32);
+        this.storage = options.storage !== undefined ? options.storage : defaultStorage();
+        this.random = createSeededRandom(this.seed);
+        this.memory = null; // used when there is no storage
+    }
+
+    /**
+     * Restart the PRNG sequence (e.g. for a new game with the same seed)
+     */
+    reset() {
+        this.random = createSeededRandom(this.seed);
+    }
+
+    _loadSeen() {
+        if (!this.storage) return this.memory || {};
+        try {
+            return JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    _saveSeen(seen) {
+        if (!this.storage) {
+            this.memory = seen;
+            return;
+        }
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(seen));
+        } catch (e) {
+            console.warn('GeoAI: Could not save puzzle bank history', e);
+        }
+    }
+
+    /**
+     * Pick a puzzle for a stage and record it as seen
+     * @param {string|number} stageId
+     * @param {Array} puzzles - Bank puzzles for the stage (each with id and difficulty)
+     * @param {number} targetDifficulty - 1-5
+     * @returns {Object|null}
+     */
+    pickPuzzle(stageId, puzzles, targetDifficulty) {
+        if (!puzzles || puzzles.length === 0) return null;
+
+        const seen = this._loadSeen();
+        const history = seen[stageId] || [];
+        let candidates = puzzles.filter(p => !history.includes(p.id));
+        if (candidates.length === 0) {
+            const last = history[history.length - 1];
+            candidates = puzzles.length > 1 ? puzzles.filter(p => p.id !== last) : puzzles;
+            history.length = 0;
+        }
+
+        const distance = p => Math.abs((p.difficulty || targetDifficulty) - targetDifficulty);
+        const best = Math.min(...candidates.map(distance));
+        const closest = candidates.filter(p => distance(p) === best);
+        const puzzle = closest[Math.floor(this.random() * closest.length)];
+
+        history.push(puzzle.id);
+        seen[stageId] = history;
+        this._saveSeen(seen);
+        return puzzle;
+    }
+
+    /**
+     * Pick one line (e.g. an arrival fact for narration)
+     * @returns {string|null}
+     */
+    pickLine(lines) {
+        if (!lines || lines.length === 0) return null;
+        return lines[Math.floor(this.random() * lines.length)];
+    }
+
+    /**
+     * Forget which puzzles have been shown
+     */
+    clearHistory() {
+        this.memory = null;
+        if (this.storage) {
+            try {
+                this.storage.removeItem(STORAGE_KEY);
+            } catch (e) { }
+        }
+    }
+}
@@ -0,0 +1,147 @@
+// puzzles.js -- Structured puzzle objects returned by the Game Master engine
+
+import { validateSchema } from './schema.js';
+import { distanceMeters } from './geo.js';
+
+export const PUZZLE_FORMATS = ['text', 'number', 'choice', 'ordering', 'pin', 'building'];
+
+// Pin targets further than this from the stage landmark are rejected
+const MAX_PIN_DISTANCE = 3000;
+
+/**
+ * Shape every puzzle must have before the game accepts it.
+ * The AI is asked to emit exactly this JSON; fallback puzzles follow it too.
+ * `format` is required, but puzzles written before it existed may carry the
+ * original `answerType` ('text' | 'number') instead (see getPuzzleFormat).
+ */
+export const PUZZLE_SCHEMA = {
+    type: 'object',
+    required: ['question', 'answer', 'acceptedAliases', 'hints', 'sourceFacts'],
+    properties: {
+        question: { type: 'string', minLength: 5 },
+        answer: { type: ['string', 'number'] },
+        acceptedAliases: { type: 'array', items: { type: 'string' } },
+        format: { type: 'string', enum: PUZZLE_FORMATS },
+        answerType: { type: 'string', enum: ['text', 'number'] },
+        hints: { type: 'array', minItems: 3, maxItems: 3, items: { type: 'string', minLength: 1 } },
+        sourceFacts: { type: 'array', items: { type: 'string' } },
+        unit: { type: 'string' },
+        tolerance: { type: 'number', minimum: 0 },
+        answerIds: { type: 'array', minItems: 1, items: { type: 'string' } },
+        choices: { type: 'array', minItems: 2, maxItems: 6, items: { type: 'string', minLength: 1 } },
+        items: { type: 'array', minItems: 3, maxItems: 6, items: { type: 'string', minLength: 1 } },
+        target: {
+            type: 'object',
+            required: ['longitude', 'latitude'],
+            properties: {
+                longitude: { type: 'number', minimum: -180, maximum: 180 },
+                latitude: { type: 'number', minimum: -90, maximum: 90 },
+            },
+        },
+        radius: { type: 'number', minimum: 10 },
+    },
+};
+
+/**
+ * Format of a raw puzzle: `format`, or the legacy `answerType`
+ * @returns {string|undefined}
+ */
+export function getPuzzleFormat(raw) {
+    return raw.format || raw.answerType;
+}
+
+/**
+ * Checks that depend on the puzzle's format (beyond what PUZZLE_SCHEMA can express)
+ * @param {Object} raw - Schema-valid puzzle
+ * @param {Object} stage - Stage the puzzle was generated for (pin targets must be near it)
+ * @returns {string[]} errors
+ */
+export function validatePuzzleFormat(raw, stage) {
+    const errors = [];
+    if (!getPuzzleFormat(raw)) errors.push('$.format: is required');
+    switch (getPuzzleFormat(raw)) {
+        case 'choice':
+            if (!raw.choices) {
+                errors.push('$.choices: required for format "choice"');
+            } else if (!raw.choices.some(c => c.trim() === String(raw.answer).trim())) {
+                errors.push('$.choices: must include the answer');
+            }
+            break;
+        case 'ordering':
+            if (!raw.items) errors.push('$.items: required for format "ordering"');
+            break;
+        case 'pin':
+            if (!raw.target) {
+                errors.push('$.target: required for format "pin"');
+            } else if (stage && stage.location && distanceMeters(raw.target, stage.location) > MAX_PIN_DISTANCE) {
+                errors.push(`$.target: more than ${MAX_PIN_DISTANCE}m from ${stage.name}`);
+            }
+            break;
+        case 'building':
+            if (!raw.answerIds) errors.push('$.answerIds: required for format "building"');
+            break;
+        default:
+            break;
+    }
+    return errors;
+}
+
+/**
+ * Pull the first JSON object out of a model response.
+ * Models often wrap JSON in ```json fences or add a sentence around it.
+ * @returns {Object|null}
+ */
+export function extractJson(text) {
+    if (!text) return null;
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const body = fenced ? fenced[1] : text;
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        return JSON.parse(body.slice(start, end + 1));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Parse and validate a puzzle from raw model output
+ * @param {string} text - Raw model response
+ * @param {Object} stage - Stage the puzzle was generated for
+ * @returns {{ puzzle: Object|null, errors: string[] }}
+ */
+export function parsePuzzle(text, stage) {
+    const raw = extractJson(text);
+    if (!raw) return { puzzle: null, errors: ['$: response is not a JSON object'] };
+
+    const errors = validateSchema(raw, PUZZLE_SCHEMA);
+    if (errors.length === 0) errors.push(...validatePuzzleFormat(raw, stage));
+    if (errors.length > 0) return { puzzle: null, errors };
+
+    return { puzzle: normalizePuzzle(raw, stage), errors: [] };
+}
+
+/**
+ * Coerce a schema-valid puzzle into the canonical shape the game uses
+ */
+export function normalizePuzzle(raw, stage) {
+    const format = getPuzzleFormat(raw);
+    return {
+        stageId: stage ? stage.id : null,
+        question: raw.question.trim(),
+        // An ordering's answer is its items in order, so the two never disagree
+        answer: format === 'ordering' && raw.items ? raw.items.map(i => i.trim()).join(' → ') : String(raw.answer).trim(),
+        acceptedAliases: raw.acceptedAliases.map(a => String(a).trim()).filter(Boolean),
+        format,
+        hints: raw.hints.map(h => h.trim()),
+        sourceFacts: raw.sourceFacts.map(f => String(f).trim()).filter(Boolean),
+        ...(raw.unit ? { unit: raw.unit.trim() } : {}),
+        ...(raw.tolerance !== undefined ? { tolerance: raw.tolerance } : {}),
+        ...(raw.answerIds ? { answerIds: raw.answerIds.map(String) } : {}),
+        ...(raw.choices ? { choices: raw.choices.map(c => c.trim()) } : {}),
+        ...(raw.items ? { items: raw.items.map(i => i.trim()) } : {}),
+        ...(raw.target ? { target: { longitude: raw.target.longitude, latitude: raw.target.latitude } } : {}),
+        ...(raw.radius !== undefined ? { radius: raw.radius } : {}),
+    };
+}
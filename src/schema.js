@@ -0,0 +1,85 @@
+// schema.js -- Minimal JSON-schema style validator for AI output and data files
+//
+// Supports the subset the game needs: type (string or array of types), enum,
+// required, properties, items, minLength, minItems, maxItems, minimum, maximum.
+// Returns a list of human-readable errors instead of throwing, so callers can
+// feed them back to the model on retry or show them to a stage author.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema definition
+ * @param {string} path - Path prefix used in error messages
+ * @returns {string[]} errors (empty when valid)
+ */
+export function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    if (!schema) return errors;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push(`${path}: expected ${types.join(' | ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...validateSchema(item, schema.items, `${path}[${i}]`));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${path}.${key}: is required`);
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+            if (value[key] !== undefined && value[key] !== null) {
+                errors.push(...validateSchema(value[key], propSchema, `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
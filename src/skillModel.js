@@ -0,0 +1,90 @@
+// skillModel.js -- Continuous player skill estimate for dynamic difficulty
+//
+// Each finished stage yields a performance score in [0, 1] from three signals:
+//   solve time     relative to a par time that grows with stage difficulty
+//   hint level     highest hint level revealed (0-3)
+//   wrong attempts number of rejected answers
+// The skill estimate (0 = lost, 1 = expert) moves toward that score Elo-style:
+// skill += rate * (performance - expected), where `expected` is the score a
+// player of the current skill should reach on a stage of that base difficulty.
+// Clearing a hard stage cleanly therefore raises skill more than an easy one,
+// and struggling on an easy stage lowers it more.
+
+export const SKILL_TIERS = ['novice', 'struggling', 'steady', 'skilled', 'expert'];
+
+const WEIGHTS = { time: 0.3, hints: 0.35, wrong: 0.35 };
+
+function clamp(value, min = 0, max = 1) {
+    return Math.min(max, Math.max(min, value));
+}
+
+export class PlayerSkillModel {
+    /**
+     * @param {Object} options
+     * @param {number} options.initialSkill - Starting estimate (default: 0.5)
+     * @param {number} options.learningRate - How far one stage moves the estimate (default: 0.35)
+     * @param {number} options.parSeconds - Par solve time for a difficulty-1 stage (default: 90)
+     * @param {number} options.parSecondsPerLevel - Extra par time per difficulty level (default: 30)
+     */
+    constructor(options = {}) {
+        this.initialSkill = options.initialSkill !== undefined ? options.initialSkill : 0.5;
+        this.learningRate = options.learningRate || 0.35;
+        this.parSeconds = options.parSeconds || 90;
+        this.parSecondsPerLevel = options.parSecondsPerLevel || 30;
+        this.reset();
+    }
+
+    reset() {
+        this.skill = this.initialSkill;
+        this.history = [];
+    }
+
+    /**
+     * Performance on one stage
+     * @param {Object} result - { difficulty (1-5), solveSeconds, hintLevel (0-3), wrongAttempts, solved }
+     * @returns {number} 0-1
+     */
+    scoreStage(result) {
+        if (!result.solved) return 0;
+        const par = this.parSeconds + this.parSecondsPerLevel * ((result.difficulty || 1) - 1);
+        const time = clamp(1.5 - (result.solveSeconds || 0) / par);
+        const hints = 1 - clamp((result.hintLevel || 0) / 3);
+        const wrong = 1 / (1 + (result.wrongAttempts || 0));
+        return WEIGHTS.time * time + WEIGHTS.hints * hints + WEIGHTS.wrong * wrong;
+    }
+
+    /**
+     * Score a player of `skill` is expected to reach on a stage of `difficulty`
+     */
+    expectedScore(skill, difficulty = 3) {
+        const challenge = (clamp(difficulty, 1, 5) - 1) / 4;
+        return 1 / (1 + Math.exp(-6 * (skill - challenge) - 0.4));
+    }
+
+    /**
+     * Skill after `result`, without recording it
+     */
+    project(result, skill = this.skill) {
+        const delta = this.scoreStage(result) - this.expectedScore(skill, result.difficulty);
+        return clamp(skill + this.learningRate * delta);
+    }
+
+    /**
+     * Record a finished stage and update the estimate
+     * @returns {number} the new skill
+     */
+    recordStage(result) {
+        const before = this.skill;
+        this.skill = this.project(result);
+        this.history.push({ ...result, score: this.scoreStage(result), before, after: this.skill });
+        return this.skill;
+    }
+
+    /**
+     * Discrete band of a skill value, used to pick prompt wording
+     * @returns {'novice' | 'struggling' | 'steady' | 'skilled' | 'expert'}
+     */
+    getTier(skill = this.skill) {
+        return SKILL_TIERS[Math.min(SKILL_TIERS.length - 1, Math.floor(clamp(skill) * SKILL_TIERS.length))];
+    }
+}
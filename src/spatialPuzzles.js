@@ -0,0 +1,141 @@
+// spatialPuzzles.js -- "Find the building" puzzles built from real PLATEAU attributes
+//
+// The engine is handed the buildings around a stage (buildings.findBuildingsNear)
+// and turns one of their attributes into a riddle: "the tallest office building
+// within 300m", "a building completed before 1970", ... The player answers by
+// clicking a building; the answer is the set of matching feature ids
+// (puzzle.answerIds), so validation never depends on text.
+
+import { bearingDegrees } from './geo.js';
+
+// PLATEAU bldg:usage is a code list; decoded datasets carry the label instead
+const USAGE_GROUPS = {
+    office: ['401', '業務施設'],
+    commercial: ['402', '404', '商業施設', '商業系複合施設'],
+    residential: ['411', '412', '413', '住宅', '共同住宅', '店舗等併用住宅'],
+};
+
+// Minimum lead of the winner over the runner-up, so "tallest" is unambiguous
+const MIN_HEIGHT_LEAD = 3;
+
+/**
+ * Coarse usage of a building ('office' | 'commercial' | 'residential'), or null
+ */
+export function usageGroup(usage) {
+    if (!usage) return null;
+    const value = String(usage);
+    return Object.keys(USAGE_GROUPS).find(group => USAGE_GROUPS[group].some(code => value.includes(code))) || null;
+}
+
+export function yearOf(building) {
+    const year = parseInt(building.yearBuilt, 10);
+    return year > 1800 && year < 2100 ? year : null;
+}
+
+/**
+ * The single building with the largest value, if it leads clearly
+ */
+function uniqueMax(buildings, valueOf, minLead) {
+    const ranked = buildings.filter(b => valueOf(b) > 0).sort((a, b) => valueOf(b) - valueOf(a));
+    if (ranked.length === 0) return null;
+    if (ranked.length > 1 && valueOf(ranked[0]) - valueOf(ranked[1]) < minLead) return null;
+    return ranked[0];
+}
+
+/**
+ * Puzzle kinds: each returns { params, answers } or null when the
+ * surrounding buildings cannot support it
+ */
+const SPATIAL_KINDS = {
+    tallest(buildings) {
+        const target = uniqueMax(buildings, b => b.height, MIN_HEIGHT_LEAD);
+        return target && { params: {}, answers: [target] };
+    },
+
+    tallestOffice(buildings) {
+        const offices = buildings.filter(b => usageGroup(b.usage) === 'office');
+        const target = uniqueMax(offices, b => b.height, MIN_HEIGHT_LEAD);
+        return target && { params: { usage: 'office' }, answers: [target] };
+    },
+
+    mostFloors(buildings) {
+        const target = uniqueMax(buildings, b => b.floors, 2);
+        return target && { params: {}, answers: [target] };
+    },
+
+    builtBefore(buildings) {
+        const dated = buildings.filter(b => yearOf(b));
+        if (dated.length < 4) return null;
+
+        // First decade boundary that one to three buildings predate
+        const years = dated.map(yearOf).sort((a, b) => a - b);
+        for (let year = Math.floor(years[0] / 10) * 10 + 10; year <= years[years.length - 1]; year += 10) {
+            const answers = dated.filter(b => yearOf(b) < year);
+            if (answers.length >= 1 && answers.length <= 3) return { params: { year }, answers };
+            if (answers.length > 3) break;
+        }
+        return null;
+    },
+};
+
+export const SPATIAL_PUZZLE_KINDS = Object.keys(SPATIAL_KINDS);
+
+/**
+ * Build a "find the building" puzzle for a stage
+ * @param {Object} stage - Stage with location and spatialPuzzle { radius, kinds }
+ * @param {Array} buildings - Building info objects near the stage (id, position, distance, height, ...)
+ * @param {Object} templates - Prompt templates (templates.spatial)
+ * @param {Function} random - () => [0, 1) used to vary the kind (default: Math.random)
+ * @returns {Object|null} puzzle with format 'building', or null if no kind fits
+ */
+export function buildSpatialPuzzle(stage, buildings, templates, random = Math.random) {
+    const config = stage.spatialPuzzle || {};
+    const radius = config.radius || 300;
+    // A click is matched by dataset id, so buildings without one cannot be answers
+    const nearby = buildings.filter(b => b.id && (b.distance === undefined || b.distance <= radius));
+    const { spatial } = templates;
+
+    // Start from a random kind, then try the rest in order
+    const kinds = (config.kinds || SPATIAL_PUZZLE_KINDS).filter(kind => SPATIAL_KINDS[kind]);
+    const offset = Math.floor(random() * kinds.length);
+    const ordered = kinds.slice(offset).concat(kinds.slice(0, offset));
+
+    for (const kind of ordered) {
+        const found = SPATIAL_KINDS[kind](nearby);
+        if (!found) continue;
+
+        const target = found.answers[0];
+        const params = { ...found.params, radius };
+        const direction = target.position
+            ? spatial.direction(bearingDegrees(stage.location, target.position))
+            : null;
+
+        return {
+            stageId: stage.id,
+            question: spatial.questions[kind](params),
+            answer: spatial.buildingLabel(target),
+            acceptedAliases: [],
+            format: 'building',
+            answerIds: found.answers.map(b => b.id),
+            hints: [
+                spatial.hints.area(params),
+                spatial.hints.attribute(kind, target, params),
+                direction
+                    ? spatial.hints.bearing(direction, Math.round((target.distance || 0) / 10) * 10)
+                    : spatial.hints.attribute('tallest', target, params),
+            ],
+            sourceFacts: found.answers.map(b => spatial.buildingFact(b)),
+            spatialKind: kind,
+            target: target.position,
+        };
+    }
+    return null;
+}
+
+/**
+ * Whether a clicked building answers a spatial puzzle
+ */
+export function matchBuilding(buildingInfo, puzzle) {
+    if (!buildingInfo || !puzzle || !puzzle.answerIds) return false;
+    return puzzle.answerIds.includes(buildingInfo.id);
+}
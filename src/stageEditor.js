@@ -0,0 +1,326 @@
+// stageEditor.js -- In-browser stage editor on the game's Cesium view
+//
+// Opened from the title screen (EDIT) on a copy of the selected pack. The map
+// stays live around a side panel: PLACE puts a stage's landmark where the next
+// click lands (roof height included), CAPTURE turns the current view into the
+// stage's cameraOffset and PREVIEW replays it with flyToLandmark, in the
+// stage's weather (environment). Text fields and the stage order are edited
+// in the panel; the draft goes through validatePack on every change and
+// EXPORT hands it out as a stage pack once it is valid.
+
+import { createPack, validatePack } from './stagePacks.js';
+import { FALLBACK_BANK } from './fallbackPuzzles.js';
+import { ENVIRONMENT_NAMES, DEFAULT_ENVIRONMENT } from './environments.js';
+import { flyToLandmark, addLandmarkMarker, clearMarkers, enableLocationPick, disableLocationPick, getCameraOffset, streamAround, setEnvironment, resetEnvironment, stopCameraPath } from './map.js';
+
+const DEFAULT_CAMERA_OFFSET = { heading: 0, pitch: -30, range: 600 };
+
+const dom = {
+    screen: document.getElementById('game-screen'),
+    panel: document.getElementById('editor-panel'),
+    packFields: document.querySelectorAll('#editor-pack [data-field]'),
+    stageList: document.getElementById('editor-stages'),
+    stageForm: document.getElementById('editor-stage'),
+    stageFields: document.querySelectorAll('#editor-stage [data-field]'),
+    environment: document.getElementById('editor-environment'),
+    errors: document.getElementById('editor-errors'),
+    status: document.getElementById('editor-status'),
+    addBtn: document.getElementById('editor-add-btn'),
+    placeBtn: document.getElementById('editor-place-btn'),
+    captureBtn: document.getElementById('editor-capture-btn'),
+    previewBtn: document.getElementById('editor-preview-btn'),
+    deleteBtn: document.getElementById('editor-delete-btn'),
+    exportBtn: document.getElementById('editor-export-btn'),
+    closeBtn: document.getElementById('editor-close-btn'),
+};
+
+// { metadata, stages, fallbackPuzzles, customTilesets } while the editor is open
+let draft = null;
+let selected = -1;
+let placing = null; // 'new' | 'move' while waiting for a map click
+let callbacks = {};
+
+function getField(target, path) {
+    return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), target);
+}
+
+// Empty values are removed, so the validator reports them as missing
+function setField(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => object[key] || (object[key] = {}), target);
+    if (value === '' || value === null) delete parent[last];
+    else parent[last] = value;
+}
+
+function readInput(input) {
+    const value = input.value.trim();
+    if (input.type === 'number') return value === '' ? null : Number(value);
+    // Stage ids stay numbers when they look like one, as in stages.js
+    if (input.dataset.field === 'id' && input.closest('#editor-stage')) return /^\d+$/.test(value) ? Number(value) : value;
+    return value;
+}
+
+function setStatus(text) {
+    dom.status.textContent = text;
+}
+
+function getSelectedStage() {
+    return draft && selected >= 0 ? draft.stages[selected] : null;
+}
+
+function buildPack() {
+    return createPack(draft.metadata, draft.stages, {
+        fallbackPuzzles: draft.fallbackPuzzles,
+        customTilesets: draft.customTilesets,
+    });
+}
+
+function createStage(location) {
+    const numericIds = draft.stages.map(stage => stage.id).filter(Number.isInteger);
+    const id = numericIds.length > 0 ? Math.max(...numericIds) + 1 : 1;
+    return {
+        id,
+        name: `STAGE ${id}`,
+        nameEn: `Stage ${id}`,
+        description: '',
+        theme: '',
+        difficulty: 1,
+        location,
+        cameraOffset: getCameraOffset(location) || { ...DEFAULT_CAMERA_OFFSET },
+        puzzleContext: '',
+    };
+}
+
+// ----- Rendering -----
+
+/**
+ * Revalidate the draft and refresh the stage list, the error list and EXPORT
+ */
+function update() {
+    const errors = validatePack(buildPack());
+    renderStageList(errors);
+
+    dom.errors.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        dom.errors.appendChild(item);
+    });
+    dom.exportBtn.disabled = errors.length > 0;
+    dom.exportBtn.title = errors.length > 0 ? `${errors.length} errors to fix before export` : 'Download the stage pack';
+}
+
+function renderStageList(errors) {
+    dom.stageList.innerHTML = '';
+    draft.stages.forEach((stage, index) => {
+        const item = document.createElement('li');
+        item.className = 'editor-stage-item';
+        item.classList.toggle('selected', index === selected);
+        item.classList.toggle('invalid', errors.some(error => error.startsWith(`$.stages[${index}]`)));
+
+        const label = document.createElement('span');
+        label.className = 'editor-stage-label';
+        label.textContent = `${index + 1}. ${stage.name || '(untitled)'}`;
+        label.addEventListener('click', () => selectStage(index));
+        item.appendChild(label);
+
+        [['\u2191', -1], ['\u2193', 1]].forEach(([arrow, step]) => {
+            const btn = document.createElement('button');
+            btn.className = 'ordering-move';
+            btn.textContent = arrow;
+            btn.disabled = !draft.stages[index + step];
+            btn.addEventListener('click', () => moveStage(index, step));
+            item.appendChild(btn);
+        });
+        dom.stageList.appendChild(item);
+    });
+}
+
+function renderStageForm() {
+    const stage = getSelectedStage();
+    dom.stageForm.classList.toggle('hidden', !stage);
+    if (!stage) return;
+    dom.stageFields.forEach(input => {
+        const value = getField(stage, input.dataset.field);
+        input.value = value === undefined ? '' : String(value).trim();
+    });
+}
+
+function renderMarkers() {
+    clearMarkers();
+    draft.stages.filter(stage => stage.location && stage.name).forEach(addLandmarkMarker);
+}
+
+// ----- Actions -----
+
+function selectStage(index) {
+    stopPlacing();
+    selected = index;
+    renderStageForm();
+    update();
+}
+
+function moveStage(index, step) {
+    const stages = draft.stages;
+    [stages[index], stages[index + step]] = [stages[index + step], stages[index]];
+    if (selected === index) selected = index + step;
+    else if (selected === index + step) selected = index;
+    update();
+}
+
+function deleteStage() {
+    if (!getSelectedStage()) return;
+    draft.stages.splice(selected, 1);
+    selected = Math.min(selected, draft.stages.length - 1);
+    renderStageForm();
+    renderMarkers();
+    update();
+}
+
+/**
+ * Wait for a map click: 'new' adds a stage there, 'move' relocates the selected one
+ * (a second press of the same button cancels)
+ */
+function startPlacing(mode) {
+    if (placing === mode) {
+        stopPlacing();
+        return;
+    }
+    if (mode === 'move' && !getSelectedStage()) return;
+    placing = mode;
+    dom.addBtn.classList.toggle('active', mode === 'new');
+    dom.placeBtn.classList.toggle('active', mode === 'move');
+    setStatus(mode === 'new' ? 'CLICK THE MAP TO PLACE A NEW STAGE' : `CLICK THE MAP TO MOVE ${getSelectedStage().name}`);
+    enableLocationPick(onPick);
+}
+
+function stopPlacing() {
+    if (!placing) return;
+    placing = null;
+    disableLocationPick();
+    dom.addBtn.classList.remove('active');
+    dom.placeBtn.classList.remove('active');
+    setStatus('');
+}
+
+function onPick(location) {
+    if (placing === 'new') {
+        draft.stages.push(createStage(location));
+        selected = draft.stages.length - 1;
+    } else {
+        // The camera offset is kept: it is relative to the landmark
+        getSelectedStage().location = location;
+    }
+    stopPlacing();
+    setStatus(`PLACED AT ${location.latitude}, ${location.longitude} / HEIGHT ${location.height}m`);
+    renderStageForm();
+    renderMarkers();
+    update();
+}
+
+function captureCamera() {
+    const stage = getSelectedStage();
+    if (!stage || !stage.location) return;
+    const offset = getCameraOffset(stage.location);
+    if (!offset) return;
+    stage.cameraOffset = offset;
+    setStatus(`CAMERA CAPTURED: HEADING ${offset.heading} / PITCH ${offset.pitch} / RANGE ${offset.range}m`);
+    renderStageForm();
+    update();
+}
+
+function preview() {
+    const stage = getSelectedStage();
+    if (!stage || !stage.location) return;
+    stopPlacing();
+    streamAround([stage.location]);
+    setEnvironment(stage.environment || DEFAULT_ENVIRONMENT, { duration: 1 });
+    flyToLandmark({ ...stage, cameraOffset: { ...DEFAULT_CAMERA_OFFSET, ...stage.cameraOffset } });
+}
+
+function onFieldInput(input, target) {
+    if (!target) return;
+    const path = input.dataset.field;
+    const previousId = target === getSelectedStage() && path === 'id' ? String(target.id) : null;
+    setField(target, path, readInput(input));
+
+    // Offline puzzles are keyed by stage id: follow a renamed stage
+    if (previousId !== null && draft.fallbackPuzzles[previousId] && target.id !== undefined) {
+        const entry = draft.fallbackPuzzles[previousId];
+        delete draft.fallbackPuzzles[previousId];
+        draft.fallbackPuzzles[String(target.id)] = entry;
+    }
+    update();
+}
+
+/**
+ * Open the editor on a copy of a pack (the map must already be initialised)
+ * @param {Object} pack - Pack to start from
+ * @param {Object} options
+ * @param {Function} options.onExport - Called with a valid pack to save
+ * @param {Function} options.onClose - Called with the draft as a pack, or null when it is not valid
+ */
+export function openStageEditor(pack, options = {}) {
+    callbacks = options;
+    const copy = JSON.parse(JSON.stringify({ metadata: pack.metadata, stages: pack.stages }));
+    if (pack.builtin) {
+        copy.metadata.id = `${copy.metadata.id}-custom`;
+        copy.metadata.title = `${copy.metadata.title} (custom)`;
+    }
+    draft = {
+        ...copy,
+        // The built-in campaign keeps its offline puzzles in fallbackPuzzles.js
+        fallbackPuzzles: JSON.parse(JSON.stringify(pack.fallbackPuzzles || (pack.builtin ? FALLBACK_BANK.ja : {}))),
+        customTilesets: (pack.tilesets || []).filter(entry => typeof entry === 'object'),
+    };
+    selected = draft.stages.length > 0 ? 0 : -1;
+
+    dom.packFields.forEach(input => {
+        const value = getField(draft.metadata, input.dataset.field);
+        input.value = value === undefined ? '' : value;
+    });
+    dom.screen.classList.add('editor-mode');
+    dom.panel.classList.remove('hidden');
+    setStatus('');
+    renderStageForm();
+    renderMarkers();
+    update();
+    if (getSelectedStage()) preview();
+}
+
+export function closeStageEditor() {
+    if (!draft) return;
+    stopPlacing();
+    stopCameraPath();
+    clearMarkers();
+    resetEnvironment();
+    dom.screen.classList.remove('editor-mode');
+    dom.panel.classList.add('hidden');
+
+    const pack = buildPack();
+    draft = null;
+    if (callbacks.onClose) callbacks.onClose(validatePack(pack).length === 0 ? pack : null);
+}
+
+// ----- Event Listeners -----
+ENVIRONMENT_NAMES.forEach(name => dom.environment.add(new Option(name.toUpperCase(), name)));
+dom.packFields.forEach(input => input.addEventListener('input', () => onFieldInput(input, draft && draft.metadata)));
+dom.stageFields.forEach(input => {
+    input.addEventListener('input', () => onFieldInput(input, getSelectedStage()));
+    // Names and positions show on the map once a field is committed
+    input.addEventListener('change', () => draft && renderMarkers());
+});
+dom.addBtn.addEventListener('click', () => startPlacing('new'));
+dom.placeBtn.addEventListener('click', () => startPlacing('move'));
+dom.captureBtn.addEventListener('click', captureCamera);
+dom.previewBtn.addEventListener('click', preview);
+dom.deleteBtn.addEventListener('click', deleteStage);
+dom.exportBtn.addEventListener('click', () => {
+    const pack = buildPack();
+    if (validatePack(pack).length === 0 && callbacks.onExport) callbacks.onExport(pack);
+});
+dom.closeBtn.addEventListener('click', closeStageEditor);
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && placing) stopPlacing();
+});
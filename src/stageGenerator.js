@@ -0,0 +1,166 @@
+// stageGenerator.js -- Stages built from any coordinate in the loaded PLATEAU area
+//
+// The engine (generateStage) samples the buildings around a point through its
+// building source, then:
+//   1. draftStage anchors the stage on the tallest building near the point and
+//      picks a camera offset that frames the skyline around it
+//   2. the AI writes the in-world text (name, description, puzzleContext) from
+//      the facts of summarizeBuildings (templates.stageFallback when offline)
+//   3. validateStage (stageSchema.js) checks the result, so it can be played
+//      or saved as JSON
+// Generated stages get a spatialPuzzle, so their puzzles come from the same
+// real building attributes.
+
+import { extractJson } from './puzzles.js';
+import { validateSchema } from './schema.js';
+import { bearingDegrees, distanceMeters } from './geo.js';
+import { usageGroup, yearOf } from './spatialPuzzles.js';
+
+// Fewer buildings than this means the point is outside the loaded tiles
+export const MIN_STAGE_BUILDINGS = 8;
+
+// The stage anchors on the tallest building this close to the requested point
+const ANCHOR_RADIUS = 150;
+
+/**
+ * Text the AI writes for a generated stage
+ */
+export const STAGE_TEXT_SCHEMA = {
+    type: 'object',
+    required: ['name', 'nameEn', 'description', 'theme', 'puzzleContext'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        nameEn: { type: 'string', minLength: 1 },
+        description: { type: 'string', minLength: 10 },
+        theme: { type: 'string', minLength: 1 },
+        puzzleContext: { type: 'string', minLength: 20 },
+    },
+};
+
+function roundTo(value, step) {
+    return Math.round(value / step) * step;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+export function createStageId(location) {
+    return `gen-${location.longitude.toFixed(4)}-${location.latitude.toFixed(4)}`;
+}
+
+/**
+ * Facts about the buildings around a point, for the stage text
+ * @param {Array} buildings - Building infos (buildings.js)
+ * @returns {Object} { count, tallest, medianHeight, usage: { office, commercial, residential, other }, oldestYear, newestYear, named }
+ */
+export function summarizeBuildings(buildings) {
+    const heights = buildings.map(b => b.height).filter(h => h > 0).sort((a, b) => a - b);
+    const years = buildings.map(yearOf).filter(Boolean).sort((a, b) => a - b);
+    const usage = { office: 0, commercial: 0, residential: 0, other: 0 };
+    buildings.forEach(b => { usage[usageGroup(b.usage) || 'other']++; });
+
+    const tallest = buildings.reduce((best, b) => (b.height || 0) > ((best && best.height) || 0) ? b : best, null);
+    return {
+        count: buildings.length,
+        tallest: tallest && {
+            name: tallest.name || null,
+            height: Math.round(tallest.height),
+            floors: tallest.floors || null,
+            usage: usageGroup(tallest.usage),
+            yearBuilt: yearOf(tallest),
+        },
+        medianHeight: heights.length > 0 ? Math.round(heights[Math.floor(heights.length / 2)]) : null,
+        usage,
+        oldestYear: years[0] || null,
+        newestYear: years[years.length - 1] || null,
+        named: buildings.filter(b => b.name).slice(0, 5).map(b => b.name),
+    };
+}
+
+/**
+ * Camera offset that frames the skyline around an anchor point: the camera
+ * looks toward the height-weighted centre of the surrounding buildings, backs
+ * off to take in most of them, and flattens for tall skylines.
+ * @returns {{ heading, pitch, range }}
+ */
+export function pickCameraOffset(anchor, buildings) {
+    let east = 0;
+    let north = 0;
+    const distances = [];
+    buildings.forEach(b => {
+        if (!b.position) return;
+        const distance = distanceMeters(anchor, b.position);
+        if (distance < 1) return;
+        const bearing = bearingDegrees(anchor, b.position) * Math.PI / 180;
+        const weight = b.height || 1;
+        east += Math.sin(bearing) * weight;
+        north += Math.cos(bearing) * weight;
+        distances.push(distance);
+    });
+
+    const heading = east === 0 && north === 0 ? 0 : roundTo((Math.atan2(east, north) * 180 / Math.PI + 360) % 360, 5);
+    distances.sort((a, b) => a - b);
+    const spread = distances.length > 0 ? distances[Math.floor(distances.length * 0.8)] : 200;
+    const top = Math.max(0, ...buildings.map(b => b.height || 0));
+
+    return {
+        heading: heading > 180 ? heading - 360 : heading,
+        pitch: top > 150 ? -25 : top > 60 ? -30 : -40,
+        range: roundTo(clamp(spread * 2.5, 400, 1200), 50),
+    };
+}
+
+/**
+ * Everything of a stage except its text
+ * @param {{ longitude, latitude }} location - Requested point
+ * @param {Array} buildings - Building infos around the point
+ * @param {Object} options - { radius (sampling radius, default 300), difficulty (default 3) }
+ * @returns {{ stage: Object|null, errors: string[] }}
+ */
+export function draftStage(location, buildings, options = {}) {
+    const radius = options.radius || 300;
+    const placed = buildings.filter(b => b.position);
+    if (placed.length < MIN_STAGE_BUILDINGS) {
+        return {
+            stage: null,
+            errors: [`only ${placed.length} buildings within ${radius}m (need ${MIN_STAGE_BUILDINGS}); is the point inside a loaded PLATEAU area?`],
+        };
+    }
+
+    const anchor = placed
+        .filter(b => b.height > 0 && distanceMeters(location, b.position) <= ANCHOR_RADIUS)
+        .sort((a, b) => b.height - a.height)[0];
+    const center = anchor ? anchor.position : location;
+
+    return {
+        stage: {
+            id: createStageId(center),
+            difficulty: options.difficulty || 3,
+            location: {
+                longitude: Number(center.longitude.toFixed(6)),
+                latitude: Number(center.latitude.toFixed(6)),
+                height: Math.max(200, roundTo((anchor ? anchor.height : 100) * 1.5, 50)),
+            },
+            cameraOffset: pickCameraOffset(center, placed),
+            spatialPuzzle: { radius },
+            generatedFrom: { longitude: location.longitude, latitude: location.latitude },
+        },
+        errors: [],
+    };
+}
+
+/**
+ * Parse and validate the AI's stage text
+ * @returns {{ stageText: Object|null, errors: string[] }}
+ */
+export function parseStageText(text) {
+    const raw = extractJson(text);
+    if (!raw) return { stageText: null, errors: ['$: response is not a JSON object'] };
+
+    const errors = validateSchema(raw, STAGE_TEXT_SCHEMA);
+    if (errors.length > 0) return { stageText: null, errors };
+
+    const { name, nameEn, description, theme, puzzleContext } = raw;
+    return { stageText: { name, nameEn, description, theme, puzzleContext }, errors: [] };
+}
@@ -0,0 +1,302 @@
+// stagePacks.js -- Campaigns as JSON stage packs
+//
+// A pack holds everything a campaign needs besides code:
+//   format, version   'geoai-stage-pack', 1
+//   metadata          { id, title, description?, author?, language?, theme? }
+//   stages            stage objects (STAGE_SCHEMA), played in order
+//   fallbackPuzzles   offline bank by stage id, same shape as a FALLBACK_BANK
+//                     language entry ({ puzzles, hints, arrival })
+//   tilesets          what the stages stand on: area ids from tilesetRegistry.js
+//                     or { id, url, bounds, camera?, dialect? } for other 3D
+//                     Tiles cities (default: every registry area). Only these
+//                     are loaded, and the first stage's area sets the opening view
+// Packs are loaded from a URL or a dropped file, or built in the stage editor
+// (stageEditor.js, createPack). validatePack checks the schema, then what a
+// schema cannot express: unique stage ids, fallback entries for existing
+// stages, and every stage inside one of the tilesets.
+// The built-in campaign (stages.js) is BUILTIN_PACK.
+
+import { validateSchema } from './schema.js';
+import { STAGE_SCHEMA } from './stageSchema.js';
+import { PUZZLE_SCHEMA, validatePuzzleFormat } from './puzzles.js';
+import { TILESET_AREAS, ATTRIBUTE_DIALECTS, DIALECT_FIELDS, resolveArea } from './tilesetRegistry.js';
+import { isInBounds } from './geo.js';
+import { SUPPORTED_LANGUAGES, SUPPORTED_THEMES } from './prompts.js';
+import { STAGES } from './stages.js';
+
+export const PACK_FORMAT = 'geoai-stage-pack';
+export const PACK_VERSION = 1;
+
+const BOUNDS_SCHEMA = {
+    type: 'object',
+    required: ['west', 'south', 'east', 'north'],
+    properties: {
+        west: { type: 'number', minimum: -180, maximum: 180 },
+        south: { type: 'number', minimum: -90, maximum: 90 },
+        east: { type: 'number', minimum: -180, maximum: 180 },
+        north: { type: 'number', minimum: -90, maximum: 90 },
+    },
+};
+
+const CAMERA_SCHEMA = {
+    type: 'object',
+    required: ['longitude', 'latitude', 'height'],
+    properties: {
+        longitude: { type: 'number', minimum: -180, maximum: 180 },
+        latitude: { type: 'number', minimum: -90, maximum: 90 },
+        height: { type: 'number', minimum: 0 },
+        heading: { type: 'number', minimum: -360, maximum: 360 },
+        pitch: { type: 'number', minimum: -90, maximum: 90 },
+    },
+};
+
+// Overrides of the 'plateau' attribute names (a dialect id is checked separately)
+const DIALECT_OVERRIDE_SCHEMA = {
+    type: 'object',
+    properties: Object.fromEntries(DIALECT_FIELDS.map(field =>
+        [field, { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }])),
+};
+
+const CUSTOM_TILESET_SCHEMA = {
+    type: 'object',
+    required: ['id', 'url', 'bounds'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        city: { type: 'string' },
+        url: { type: 'string', minLength: 1 },
+        bounds: BOUNDS_SCHEMA,
+        camera: CAMERA_SCHEMA,
+        dialect: { type: ['string', 'object'] },
+    },
+};
+
+const FALLBACK_ENTRY_SCHEMA = {
+    type: 'object',
+    required: ['puzzles'],
+    properties: {
+        puzzles: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                ...PUZZLE_SCHEMA,
+                required: [...PUZZLE_SCHEMA.required, 'id'],
+                properties: {
+                    ...PUZZLE_SCHEMA.properties,
+                    id: { type: 'string', minLength: 1 },
+                    difficulty: { type: 'integer', minimum: 1, maximum: 5 },
+                },
+            },
+        },
+        hints: { type: 'array', minItems: 3, maxItems: 3, items: { type: 'string', minLength: 1 } },
+        arrival: { type: 'array', items: { type: 'string', minLength: 1 } },
+    },
+};
+
+export const PACK_SCHEMA = {
+    type: 'object',
+    required: ['format', 'version', 'metadata', 'stages'],
+    properties: {
+        format: { type: 'string', enum: [PACK_FORMAT] },
+        version: { type: 'integer', minimum: 1, maximum: PACK_VERSION },
+        metadata: {
+            type: 'object',
+            required: ['id', 'title'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                title: { type: 'string', minLength: 1 },
+                description: { type: 'string' },
+                author: { type: 'string' },
+                language: { type: 'string', enum: SUPPORTED_LANGUAGES },
+                theme: { type: 'string', enum: SUPPORTED_THEMES },
+            },
+        },
+        stages: { type: 'array', minItems: 1, items: STAGE_SCHEMA },
+        fallbackPuzzles: { type: 'object' },
+        tilesets: { type: 'array', minItems: 1, items: { type: ['string', 'object'] } },
+    },
+};
+
+export const BUILTIN_PACK = {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    metadata: {
+        id: 'tokyo-escape',
+        title: 'Tokyo Escape',
+        description: '東京5区を巡る本編キャンペーン',
+    },
+    stages: STAGES,
+    tilesets: Object.keys(TILESET_AREAS),
+    // Offline puzzles and the story graph come from fallbackPuzzles.js / story.js
+    builtin: true,
+};
+
+/**
+ * A pack's tilesets as complete areas (resolveArea), every registry area when
+ * none are declared. Unknown area ids are skipped (validatePack reports them).
+ */
+export function getPackAreas(pack) {
+    return (pack.tilesets || Object.keys(TILESET_AREAS)).map(resolveArea).filter(Boolean);
+}
+
+/**
+ * Opening view of a pack: the camera of the area its first stage stands in
+ * @returns {Object|null} { longitude, latitude, height, heading, pitch }
+ */
+export function getPackCamera(pack) {
+    const areas = getPackAreas(pack);
+    const first = pack.stages[0];
+    const area = (first && areas.find(a => isInBounds(first.location, a.bounds))) || areas[0];
+    return area ? area.camera : null;
+}
+
+/**
+ * Assemble a pack from edited stages (stage editor export). Tilesets are the
+ * registry areas the stages stand in plus any custom entries passed in;
+ * fallback puzzles are kept only for stages still in the pack.
+ * @param {Object} metadata - Pack metadata
+ * @param {Object[]} stages - In play order
+ * @param {Object} options
+ * @param {Object} options.fallbackPuzzles - By stage id
+ * @param {Object[]} options.customTilesets - { id, url, bounds, ... } entries
+ * @returns {Object} pack (not validated)
+ */
+export function createPack(metadata, stages, { fallbackPuzzles = {}, customTilesets = [] } = {}) {
+    const areas = Object.keys(TILESET_AREAS)
+        .filter(id => stages.some(stage => stage.location && isInBounds(stage.location, TILESET_AREAS[id].bounds)));
+    const stageIds = new Set(stages.map(stage => String(stage.id)));
+    const kept = Object.fromEntries(Object.entries(fallbackPuzzles).filter(([stageId]) => stageIds.has(stageId)));
+
+    const pack = { format: PACK_FORMAT, version: PACK_VERSION, metadata, stages };
+    if (areas.length + customTilesets.length > 0) pack.tilesets = [...areas, ...customTilesets];
+    if (Object.keys(kept).length > 0) pack.fallbackPuzzles = kept;
+    return pack;
+}
+
+/**
+ * Name errors under $.stages[i] after the stage, e.g. $.stages[2] (3: 渋谷).cameraOffset.range
+ */
+function labelStagePaths(errors, stages) {
+    return errors.map(error => error.replace(/^\$\.stages\[(\d+)\]/, (path, index) => {
+        const stage = stages[Number(index)];
+        return stage && stage.id !== undefined ? `${path} (${stage.id}${stage.name ? `: ${stage.name}` : ''})` : path;
+    }));
+}
+
+function validateTilesets(tilesets) {
+    const errors = [];
+    tilesets.forEach((entry, i) => {
+        const path = `$.tilesets[${i}]`;
+        if (typeof entry === 'string') {
+            if (!TILESET_AREAS[entry]) {
+                errors.push(`${path}: unknown area "${entry}" (known: ${Object.keys(TILESET_AREAS).join(', ')})`);
+            }
+            return;
+        }
+        errors.push(...validateSchema(entry, CUSTOM_TILESET_SCHEMA, path));
+        if (typeof entry.dialect === 'string' && !ATTRIBUTE_DIALECTS[entry.dialect]) {
+            errors.push(`${path}.dialect: unknown attribute dialect "${entry.dialect}" (known: ${Object.keys(ATTRIBUTE_DIALECTS).join(', ')})`);
+        } else if (typeof entry.dialect === 'object') {
+            errors.push(...validateSchema(entry.dialect, DIALECT_OVERRIDE_SCHEMA, `${path}.dialect`));
+        }
+    });
+    return errors;
+}
+
+function validateStagePlacement(pack) {
+    const errors = [];
+    const tilesets = getPackAreas(pack);
+    const seen = new Map();
+    pack.stages.forEach((stage, i) => {
+        const key = String(stage.id);
+        if (seen.has(key)) {
+            errors.push(`$.stages[${i}].id: duplicate id ${stage.id} (also $.stages[${seen.get(key)}])`);
+        } else {
+            seen.set(key, i);
+        }
+
+        if (!tilesets.some(tileset => isInBounds(stage.location, tileset.bounds))) {
+            const { longitude, latitude } = stage.location;
+            errors.push(`$.stages[${i}].location: (${longitude}, ${latitude}) is outside every tileset (${tilesets.map(t => t.id).join(', ')})`);
+        }
+    });
+    return errors;
+}
+
+function validateFallbackPuzzles(pack) {
+    const errors = [];
+    const puzzleIds = new Set();
+    Object.entries(pack.fallbackPuzzles).forEach(([stageId, entry]) => {
+        const path = `$.fallbackPuzzles.${stageId}`;
+        const stage = pack.stages.find(s => String(s.id) === stageId);
+        if (!stage) {
+            errors.push(`${path}: no stage with id ${stageId}`);
+            return;
+        }
+        const entryErrors = validateSchema(entry, FALLBACK_ENTRY_SCHEMA, path);
+        if (entryErrors.length > 0) {
+            errors.push(...entryErrors);
+            return;
+        }
+        entry.puzzles.forEach((puzzle, i) => {
+            const puzzlePath = `${path}.puzzles[${i}]`;
+            validatePuzzleFormat(puzzle, stage).forEach(error => errors.push(error.replace(/^\$/, puzzlePath)));
+            if (puzzleIds.has(puzzle.id)) errors.push(`${puzzlePath}.id: duplicate puzzle id "${puzzle.id}"`);
+            puzzleIds.add(puzzle.id);
+        });
+    });
+    return errors;
+}
+
+/**
+ * @param {Object} pack
+ * @returns {string[]} errors (empty when the pack can be played)
+ */
+export function validatePack(pack) {
+    const errors = validateSchema(pack, PACK_SCHEMA);
+    if (errors.length > 0) return labelStagePaths(errors, (pack && Array.isArray(pack.stages)) ? pack.stages : []);
+
+    if (pack.tilesets) errors.push(...validateTilesets(pack.tilesets));
+    if (errors.length === 0) errors.push(...validateStagePlacement(pack));
+    if (pack.fallbackPuzzles) errors.push(...validateFallbackPuzzles(pack));
+    return labelStagePaths(errors, pack.stages);
+}
+
+/**
+ * @param {string} text - Pack JSON
+ * @returns {{ pack: Object|null, errors: string[] }}
+ */
+export function parsePack(text) {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (error) {
+        return { pack: null, errors: [`$: not valid JSON (${error.message})`] };
+    }
+    const errors = validatePack(raw);
+    return errors.length > 0 ? { pack: null, errors } : { pack: raw, errors: [] };
+}
+
+/**
+ * @returns {Promise<{ pack: Object|null, errors: string[] }>}
+ */
+export async function loadPackFromUrl(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return { pack: null, errors: [`${url}: HTTP ${response.status}`] };
+        return parsePack(await response.text());
+    } catch (error) {
+        return { pack: null, errors: [`${url}: ${error.message}`] };
+    }
+}
+
+/**
+ * @param {File} file - e.g. from a drop event
+ * @returns {Promise<{ pack: Object|null, errors: string[] }>}
+ */
+export async function loadPackFromFile(file) {
+    try {
+        return parsePack(await file.text());
+    } catch (error) {
+        return { pack: null, errors: [`${file.name}: ${error.message}`] };
+    }
+}
@@ -0,0 +1,91 @@
+// stageSchema.js -- Shape of a stage object (stages.js entries, generated stages)
+//
+// Hand-written stages in stages.js, stages built by stageGenerator.js and the
+// stages of a JSON stage pack (stagePacks.js) must all pass validateStage
+// before the game plays or saves them.
+
+import { validateSchema } from './schema.js';
+import { PUZZLE_FORMATS } from './puzzles.js';
+import { ENVIRONMENT_NAMES } from './environments.js';
+import { CAMERA_EASINGS } from './cameraPaths.js';
+
+const COORDINATES = {
+    longitude: { type: 'number', minimum: -180, maximum: 180 },
+    latitude: { type: 'number', minimum: -90, maximum: 90 },
+};
+
+// Intro fly-through keyframe (cameraPaths.js): a position and orientation, or
+// any of heading/pitch/range around the landmark
+const KEYFRAME_SCHEMA = {
+    type: 'object',
+    required: ['duration'],
+    properties: {
+        position: {
+            type: 'object',
+            required: ['longitude', 'latitude', 'height'],
+            properties: { ...COORDINATES, height: { type: 'number' } },
+        },
+        orientation: {
+            type: 'object',
+            properties: {
+                heading: { type: 'number' },
+                pitch: { type: 'number', minimum: -90, maximum: 90 },
+                roll: { type: 'number' },
+            },
+        },
+        // Not bounded: headings past 360 keep orbiting
+        heading: { type: 'number' },
+        pitch: { type: 'number', minimum: -90, maximum: 0 },
+        range: { type: 'number', minimum: 50 },
+        duration: { type: 'number', minimum: 0, maximum: 30 },
+        easing: { type: 'string', enum: Object.keys(CAMERA_EASINGS) },
+    },
+};
+
+export const STAGE_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'nameEn', 'description', 'theme', 'difficulty', 'location', 'cameraOffset', 'puzzleContext'],
+    properties: {
+        id: { type: ['integer', 'string'] },
+        name: { type: 'string', minLength: 1 },
+        nameEn: { type: 'string', minLength: 1 },
+        description: { type: 'string', minLength: 10 },
+        theme: { type: 'string', minLength: 1 },
+        difficulty: { type: 'integer', minimum: 1, maximum: 5 },
+        location: {
+            type: 'object',
+            required: ['longitude', 'latitude'],
+            properties: { ...COORDINATES, height: { type: 'number', minimum: 0 } },
+        },
+        cameraOffset: {
+            type: 'object',
+            required: ['heading', 'pitch', 'range'],
+            properties: {
+                heading: { type: 'number', minimum: -360, maximum: 360 },
+                pitch: { type: 'number', minimum: -90, maximum: 0 },
+                range: { type: 'number', minimum: 50 },
+            },
+        },
+        puzzleContext: { type: 'string', minLength: 20 },
+        // Weather / time of day the stage is played in (default: DEFAULT_ENVIRONMENT)
+        environment: { type: 'string', enum: ENVIRONMENT_NAMES },
+        intro: { type: 'array', maxItems: 10, items: KEYFRAME_SCHEMA },
+        puzzleFormats: { type: 'array', minItems: 1, items: { type: 'string', enum: PUZZLE_FORMATS } },
+        spatialPuzzle: {
+            type: 'object',
+            properties: {
+                radius: { type: 'number', minimum: 50 },
+                kinds: { type: 'array', items: { type: 'string' } },
+            },
+        },
+        characters: { type: 'object' },
+    },
+};
+
+/**
+ * @param {Object} stage
+ * @returns {string[]} errors (empty when the stage can be played and saved)
+ */
+export function validateStage(stage) {
+    return validateSchema(stage, STAGE_SCHEMA);
+}
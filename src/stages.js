@@ -18,6 +18,11 @@ export const STAGES = [
             pitch: -25,
             range: 900,
         },
+        // Sweep in low from the bay, then circle the tower into the stage view
+        intro: [
+            { heading: -150, pitch: -10, range: 1600, duration: 3, easing: 'ease-out' },
+            { heading: -30, pitch: -18, range: 1200, duration: 4, easing: 'linear' },
+        ],
         puzzleContext: `
 [機密ファイル: BABEL-01 / 閲覧権限レベル7以上]
 [データ破損率: 12% / 復元処理中...]
@@ -51,6 +56,11 @@ export const STAGES = [
             pitch: -35,
             range: 500,
         },
+        // Landmarks in view (Wako, Nihonbashi) make "drop a pin" puzzles fair here
+        puzzleFormats: ['text', 'number', 'choice', 'ordering', 'pin'],
+        // Who speaks instead of the game master, per reply kind (puzzle, hint,
+        // evaluate, narration); ids are the theme's characters in prompts.js
+        characters: { puzzle: 'security', evaluate: 'security' },
         puzzleContext: `
 [企業機密アーカイブ: GINZA-BLOCK / 断片的データ復元]
 [警告: 不正アクセス検知。逆探知まで残り███秒]
@@ -86,6 +96,12 @@ export const STAGES = [
             pitch: -35,
             range: 400,
         },
+        environment: 'acid-rain',
+        // "Find the building" puzzle from PLATEAU attributes around the crossing
+        spatialPuzzle: {
+            radius: 300,
+        },
+        characters: { hint: 'contact' },
         puzzleContext: `
 [監視アーカイブ: SHIBUYA-NEXUS / アクセス権限を偽装中...]
 [生体データストリーム解析中... 異常パターン検出]
@@ -120,6 +136,7 @@ SHIBUYA SKY: 高さ229m。都市全域を俯瞰する監視プラットフォー
             pitch: -35,
             range: 450,
         },
+        characters: { narration: 'broker', puzzle: 'broker', hint: 'broker' },
         puzzleContext: `
 [破損データクラスタ: AKIBA-GRID / 復号化率: 67%]
 [警告: 当該セクターは非公式ネットワークが支配。自己責任で進め]
@@ -154,6 +171,9 @@ SHIBUYA SKY: 高さ229m。都市全域を俯瞰する監視プラットフォー
             pitch: -30,
             range: 600,
         },
+        // The last sector at first light, before the dome lifts
+        environment: 'dawn',
+        characters: { hint: 'contact' },
         puzzleContext: `
 [最高機密: AXIOM-CORE / 閲覧権限: 存在しない]
 [警告: このファイルを開いた者は、既に監視下にある]
@@ -0,0 +1,157 @@
+// story.js -- Branching story graph on top of STAGES
+//
+// Stages are still played one at a time, but after some of them the player
+// reaches a choice point. Each option can set flags, which last for the rest
+// of the run, and can send the player to a different next stage. The ending
+// is the first STORY.endings entry whose condition the flags meet.
+//
+// This module holds only the structure. The text for choices, options and
+// endings is in prompts.js (templates.story), keyed by the same ids.
+
+export const STORY = {
+    // Per stage id: the choice offered after clearing it, and the default next
+    // stage (stages not listed continue in STAGES order)
+    nodes: {
+        2: { choice: 'sentinel-deal' },
+        3: { choice: 'route' },
+        4: { choice: 'broker-offer' },
+        5: { choice: 'core', next: null },
+    },
+
+    // speaker: prompts.js character who presents the choice (default: game master)
+    // when: (flags) => whether the choice is offered at all
+    choices: {
+        'sentinel-deal': {
+            speaker: 'security',
+            options: [
+                { id: 'refuse', flags: { trustedContact: true } },
+                { id: 'betray', flags: { betrayedContact: true } },
+            ],
+        },
+        route: {
+            speaker: 'contact',
+            // A betrayed contact offers no shortcut
+            when: (flags) => !flags.betrayedContact,
+            options: [
+                { id: 'underground', next: 4 },
+                { id: 'direct', next: 5, flags: { skippedBroker: true } },
+            ],
+        },
+        'broker-offer': {
+            speaker: 'broker',
+            options: [
+                { id: 'buy', flags: { coreKey: true } },
+                { id: 'decline' },
+            ],
+        },
+        core: {
+            options: [
+                { id: 'shutdown', flags: { shutdown: true } },
+                { id: 'merge', flags: { merged: true } },
+            ],
+        },
+    },
+
+    // Checked in order. environment: preset the ending scene blends into
+    // (environments.js, default: clear sky)
+    endings: [
+        { id: 'merge', when: (flags) => flags.merged, environment: 'neon-night' },
+        // Escaping takes an ally, and a betrayed contact sells the player out in turn
+        { id: 'escape', when: (flags) => flags.shutdown && !flags.betrayedContact && (flags.trustedContact || flags.coreKey), environment: 'clear-sky' },
+        { id: 'loop', when: () => true, environment: 'fog-bank' },
+    ],
+};
+
+// Campaigns without choice points (e.g. stage packs): stages in order, one ending
+export const LINEAR_STORY = {
+    nodes: {},
+    choices: {},
+    endings: [{ id: 'escape', when: () => true }],
+};
+
+export class StoryState {
+    /**
+     * @param {Object} graph - Story graph (default: STORY)
+     */
+    constructor(graph = STORY) {
+        this.graph = graph;
+        this.reset();
+    }
+
+    reset() {
+        this.flags = {};
+        this.choices = []; // { stageId, choiceId, optionId }
+    }
+
+    /**
+     * Choice point after a stage, if it is offered and not yet made
+     * @returns {Object|null} { id, speaker, options }
+     */
+    getChoice(stageId) {
+        const node = this.graph.nodes[stageId];
+        const choice = node && node.choice ? this.graph.choices[node.choice] : null;
+        if (!choice || this._getMadeChoice(stageId)) return null;
+        if (choice.when && !choice.when(this.flags)) return null;
+        return { id: node.choice, speaker: choice.speaker || 'gm', options: choice.options };
+    }
+
+    /**
+     * Take an option of the choice after a stage and apply its flags
+     * @returns {Object|null} the option, or null if it is not on offer
+     */
+    choose(stageId, optionId) {
+        const choice = this.getChoice(stageId);
+        const option = choice && choice.options.find(o => o.id === optionId);
+        if (!option) return null;
+
+        Object.assign(this.flags, option.flags || {});
+        this.choices.push({ stageId, choiceId: choice.id, optionId });
+        return option;
+    }
+
+    _getMadeChoice(stageId) {
+        return this.choices.find(c => c.stageId === stageId) || null;
+    }
+
+    /**
+     * Stage that follows a stage: the chosen option's target, then the node's
+     * default, then the next id in `stageIds`
+     * @param {Array} stageIds - Campaign order (e.g. STAGES ids)
+     * @returns {*} stage id, or null when the story ends
+     */
+    getNextStageId(stageId, stageIds) {
+        const made = this._getMadeChoice(stageId);
+        if (made) {
+            const option = this.graph.choices[made.choiceId].options.find(o => o.id === made.optionId);
+            if (option.next !== undefined) return option.next;
+        }
+        const node = this.graph.nodes[stageId];
+        if (node && node.next !== undefined) return node.next;
+
+        const index = stageIds.indexOf(stageId);
+        return index >= 0 && index < stageIds.length - 1 ? stageIds[index + 1] : null;
+    }
+
+    /**
+     * Names of the flags currently set
+     */
+    getFlagNames() {
+        return Object.keys(this.flags).filter(name => this.flags[name]);
+    }
+
+    /**
+     * @returns {string} ending id
+     */
+    getEnding() {
+        const ending = this.graph.endings.find(e => e.when(this.flags));
+        return ending ? ending.id : 'loop';
+    }
+
+    /**
+     * @returns {string|null} environment preset the ending asks for
+     */
+    getEndingEnvironment() {
+        const ending = this.graph.endings.find(e => e.id === this.getEnding());
+        return (ending && ending.environment) || null;
+    }
+}
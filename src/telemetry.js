@@ -0,0 +1,178 @@
+// telemetry.js -- Per-call AI telemetry for the Game Master engine
+//
+// Every public engine call (generatePuzzle, evaluateAnswer, requestHint, ...)
+// and every background prefetch becomes one event:
+//
+//   { id, method, stageId, backend, cached, latencyMs, firstTokenMs, requests,
+//     retries, inputTokens, outputTokens, estimatedTokens, fallbackReason,
+//     fallbacks, error, time }
+//
+// backend is the one that produced the result ('local' | 'edge' | 'cloud' |
+// 'fallback'); cached calls were served from a background prefetch, whose own
+// event carries the requests and tokens. requests counts the AI requests
+// made; retries are the requests after the first, including a switch to
+// another backend. fallbackReason is why the call first left its preferred
+// path ('cloud-error', 'cloud-invalid', 'edge-error', 'edge-invalid',
+// 'spatial-failed', 'offline'); fallbacks lists every step. Events stay in
+// memory (oldest dropped past maxEvents) and toJSON() gives the export
+// reviewed after playtests.
+
+const DEFAULT_MAX_EVENTS = 500;
+
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+export class Telemetry {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onEvent - Called with each finished event
+     * @param {number} options.maxEvents - Events kept in memory (default: 500)
+     */
+    constructor(options = {}) {
+        this.onEvent = options.onEvent || null;
+        this.maxEvents = options.maxEvents || DEFAULT_MAX_EVENTS;
+        this.nextId = 1;
+        this.reset();
+    }
+
+    reset() {
+        this.events = [];
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Start timing a call
+     * @param {string} method - Engine method name
+     * @param {string|number|null} stageId
+     * @returns {Object} call record, passed to the other methods and to end()
+     */
+    begin(method, stageId = null) {
+        return {
+            id: this.nextId++,
+            method,
+            stageId,
+            startedAt: now(),
+            firstTokenAt: null,
+            cached: false,
+            requests: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            estimatedTokens: false,
+            fallbacks: [],
+            error: null,
+        };
+    }
+
+    /**
+     * One AI request is about to be made for the call
+     */
+    noteRequest(call) {
+        if (call) call.requests++;
+    }
+
+    /**
+     * The result came from a prefetch cache
+     */
+    noteCached(call) {
+        if (call) call.cached = true;
+    }
+
+    noteFirstToken(call) {
+        if (call && call.firstTokenAt === null) call.firstTokenAt = now();
+    }
+
+    /**
+     * @param {Object} entry - Usage entry (see GeoAIGameMaster._recordUsage)
+     */
+    noteUsage(call, entry) {
+        if (!call) return;
+        call.inputTokens += entry.inputTokens;
+        call.outputTokens += entry.outputTokens;
+        call.estimatedTokens = call.estimatedTokens || entry.estimated;
+    }
+
+    /**
+     * The call left its preferred path
+     * @param {string} reason - e.g. 'cloud-error' (see the module comment)
+     * @param {Error} error - Cause, if any
+     */
+    noteFallback(call, reason, error = null) {
+        if (!call) return;
+        call.fallbacks.push(reason);
+        if (error) call.error = error.message || String(error);
+    }
+
+    /**
+     * Finish a call and emit its event
+     * @param {string|null} backend - Backend that produced the result
+     * @param {Error} error - Set when the call threw
+     * @returns {Object} event
+     */
+    end(call, backend, error = null) {
+        const event = {
+            id: call.id,
+            method: call.method,
+            stageId: call.stageId,
+            backend: backend || null,
+            cached: call.cached,
+            latencyMs: Math.round(now() - call.startedAt),
+            firstTokenMs: call.firstTokenAt !== null ? Math.round(call.firstTokenAt - call.startedAt) : null,
+            requests: call.requests,
+            retries: Math.max(0, call.requests - 1),
+            inputTokens: call.inputTokens,
+            outputTokens: call.outputTokens,
+            estimatedTokens: call.estimatedTokens,
+            fallbackReason: call.fallbacks[0] || null,
+            fallbacks: call.fallbacks.slice(),
+            error: error ? (error.message || String(error)) : call.error,
+            time: Date.now(),
+        };
+
+        this.events.push(event);
+        if (this.events.length > this.maxEvents) this.events.shift();
+        if (this.onEvent) this.onEvent(event);
+        return event;
+    }
+
+    /**
+     * Per-method and per-backend counts, latencies and fallbacks
+     */
+    getSummary() {
+        const methods = {};
+        const backends = {};
+        const fallbackReasons = {};
+        for (const event of this.events) {
+            const method = methods[event.method] || (methods[event.method] = { calls: 0, totalMs: 0, maxMs: 0, retries: 0, fallbacks: 0, errors: 0 });
+            method.calls++;
+            method.totalMs += event.latencyMs;
+            method.maxMs = Math.max(method.maxMs, event.latencyMs);
+            method.retries += event.retries;
+            if (event.fallbackReason) method.fallbacks++;
+            if (event.error) method.errors++;
+
+            const backend = event.backend || 'none';
+            backends[backend] = (backends[backend] || 0) + 1;
+            if (event.fallbackReason) fallbackReasons[event.fallbackReason] = (fallbackReasons[event.fallbackReason] || 0) + 1;
+        }
+        for (const method of Object.values(methods)) {
+            method.avgMs = Math.round(method.totalMs / method.calls);
+            delete method.totalMs;
+        }
+        return { calls: this.events.length, methods, backends, fallbackReasons };
+    }
+
+    /**
+     * Export for playtest review
+     * @param {Object} meta - Extra session fields (provider, theme, ...)
+     */
+    toJSON(meta = {}) {
+        return {
+            ...meta,
+            startedAt: new Date(this.startedAt).toISOString(),
+            exportedAt: new Date().toISOString(),
+            summary: this.getSummary(),
+            events: this.events.slice(),
+        };
+    }
+}
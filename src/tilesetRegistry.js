@@ -0,0 +1,172 @@
+// tilesetRegistry.js -- 3D Tiles areas a campaign can stand on
+//
+// An area is one building tileset with what the game needs to use it:
+//   id        key used by stage packs (`tilesets: ['chiyoda', ...]`)
+//   city      grouping label (e.g. 'tokyo')
+//   url       tileset.json
+//   bounds    rough bounding box (degrees, slightly larger than the data),
+//             used to check that stage coordinates have buildings under them
+//   camera    default view { longitude, latitude, height, heading, pitch }
+//             (default: above the centre of the bounds)
+//   dialect   how building attributes are named in the tiles: an
+//             ATTRIBUTE_DIALECTS id, or an object overriding some of the
+//             'plateau' fields (default: 'plateau')
+// The built-in areas are the Tokyo PLATEAU wards; a stage pack declares any
+// other city as { id, url, bounds, camera?, dialect? } entries. Kept free of
+// Cesium so stage packs can be validated without a map, and so
+// scripts/cache-tiles.mjs can read it from Node.
+//
+// Tileset URLs are fetched from one of TILES_SOURCES (map.js getTilesSource):
+//   remote  as written
+//   proxy   plateau.geospatial.jp through the dev server's /plateau-proxy route
+//   local   the mirror written by scripts/cache-tiles.mjs (<host>/<path> under
+//           the tiles directory), served by the dev server at /local-tiles
+
+// PLATEAU 3D Tiles URLs (LOD2 with textures for better visuals)
+const PLATEAU_BASE = 'https://plateau.geospatial.jp/main/data/3d-tiles/bldg/13100_tokyo';
+
+// Overview of central Tokyo from above Tokyo Station
+const TOKYO_CAMERA = { longitude: 139.7670, latitude: 35.6810, height: 15000, heading: 0, pitch: -60 };
+
+export const TILES_SOURCES = ['remote', 'proxy', 'local'];
+export const LOCAL_TILES_ROUTE = '/local-tiles';
+
+// Dev server routes per remote host (vite.config.js)
+const PROXY_ROUTES = { 'plateau.geospatial.jp': '/plateau-proxy' };
+
+const DEFAULT_CAMERA_HEIGHT = 15000;
+const DEFAULT_CAMERA_PITCH = -60;
+
+export const TILESET_AREAS = {
+    chiyoda: {
+        city: 'tokyo',
+        url: `${PLATEAU_BASE}/13101_chiyoda-ku/low_resolution/tileset.json`,
+        bounds: { west: 139.729, south: 35.665, east: 139.782, north: 35.706 },
+        camera: TOKYO_CAMERA,
+        dialect: 'plateau',
+    },
+    chuo: {
+        city: 'tokyo',
+        url: `${PLATEAU_BASE}/13102_chuo-ku/low_resolution/tileset.json`,
+        bounds: { west: 139.762, south: 35.645, east: 139.795, north: 35.697 },
+        camera: TOKYO_CAMERA,
+        dialect: 'plateau',
+    },
+    minato: {
+        city: 'tokyo',
+        url: `${PLATEAU_BASE}/13103_minato-ku/low_resolution/tileset.json`,
+        bounds: { west: 139.710, south: 35.620, east: 139.790, north: 35.685 },
+        camera: TOKYO_CAMERA,
+        dialect: 'plateau',
+    },
+    shibuya: {
+        city: 'tokyo',
+        url: `${PLATEAU_BASE}/13113_shibuya-ku/low_resolution/tileset.json`,
+        bounds: { west: 139.661, south: 35.642, east: 139.724, north: 35.692 },
+        camera: TOKYO_CAMERA,
+        dialect: 'plateau',
+    },
+    shinjuku: {
+        city: 'tokyo',
+        url: `${PLATEAU_BASE}/13104_shinjuku-ku/low_resolution/tileset.json`,
+        bounds: { west: 139.673, south: 35.676, east: 139.746, north: 35.718 },
+        camera: TOKYO_CAMERA,
+        dialect: 'plateau',
+    },
+};
+
+// Feature property names per building field, tried in order
+export const ATTRIBUTE_DIALECTS = {
+    // PLATEAU CityGML attributes, exported with English or Japanese names
+    plateau: {
+        id: ['gml:id', 'gml_id', '_gml_id', 'id'],
+        latitude: ['_lat', 'latitude', 'lat'],
+        longitude: ['_lon', 'longitude', 'lon'],
+        height: ['bldg:measuredHeight', 'measuredHeight', '建物高さ', 'height', 'bldg:height'],
+        usage: ['bldg:usage', 'usage', '用途'],
+        name: ['gml:name', 'name', '名称'],
+        floors: ['bldg:storeysAboveGround', 'storeysAboveGround', '地上階数'],
+        yearBuilt: ['bldg:yearOfConstruction', 'yearOfConstruction', '建築年'],
+        address: ['bldg:address', 'address', '住所'],
+    },
+    // OpenStreetMap tags (e.g. Cesium OSM Buildings)
+    osm: {
+        id: ['elementId', 'id'],
+        latitude: ['cesium#latitude'],
+        longitude: ['cesium#longitude'],
+        height: ['cesium#estimatedHeight', 'height'],
+        usage: ['building', 'amenity'],
+        name: ['name', 'name:en'],
+        floors: ['building:levels'],
+        yearBuilt: ['start_date'],
+        address: ['addr:full', 'addr:street'],
+    },
+};
+
+export const DIALECT_FIELDS = Object.keys(ATTRIBUTE_DIALECTS.plateau);
+
+/**
+ * Attribute names for a dialect id or override object
+ * @param {string|Object} dialect
+ * @returns {Object} field → property names
+ */
+export function resolveDialect(dialect = 'plateau') {
+    if (typeof dialect === 'object' && dialect) return { ...ATTRIBUTE_DIALECTS.plateau, ...dialect };
+    return ATTRIBUTE_DIALECTS[dialect] || ATTRIBUTE_DIALECTS.plateau;
+}
+
+/**
+ * Default view over an area: straight north, looking down on the centre of its bounds
+ */
+function getBoundsCamera(bounds) {
+    return {
+        longitude: (bounds.west + bounds.east) / 2,
+        latitude: (bounds.south + bounds.north) / 2,
+        height: DEFAULT_CAMERA_HEIGHT,
+        heading: 0,
+        pitch: DEFAULT_CAMERA_PITCH,
+    };
+}
+
+/**
+ * A registry id or a pack's custom entry as a complete area
+ * @param {string|Object} entry
+ * @returns {Object|null} { id, city, url, bounds, camera, dialect }, null for an unknown id
+ */
+export function resolveArea(entry) {
+    const area = typeof entry === 'string' ? TILESET_AREAS[entry] && { id: entry, ...TILESET_AREAS[entry] } : entry;
+    if (!area) return null;
+    return {
+        city: null,
+        dialect: 'plateau',
+        ...area,
+        camera: area.camera ? { heading: 0, pitch: DEFAULT_CAMERA_PITCH, ...area.camera } : getBoundsCamera(area.bounds),
+    };
+}
+
+/**
+ * Where a remote file lives in the local tile mirror
+ * @param {string} url - Absolute http(s) URL
+ * @returns {string} '<hostname>/<path>'
+ */
+export function getMirrorPath(url) {
+    const { hostname, pathname } = new URL(url);
+    return `${hostname}${pathname}`;
+}
+
+/**
+ * A tileset URL as fetched from the given source. Relative tile URIs inside the
+ * tileset resolve against it, so the whole tree follows. Hosts without a proxy
+ * route and URLs that are already local are left as they are.
+ * @param {string} url
+ * @param {string} source - One of TILES_SOURCES
+ */
+export function getTilesetUrl(url, source = 'remote') {
+    if (!/^https?:\/\//.test(url)) return url;
+    if (source === 'local') return `${LOCAL_TILES_ROUTE}/${getMirrorPath(url)}`;
+    if (source === 'proxy') {
+        const { host, pathname, search } = new URL(url);
+        if (PROXY_ROUTES[host]) return `${PROXY_ROUTES[host]}${pathname}${search}`;
+    }
+    return url;
+}
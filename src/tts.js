@@ -9,23 +9,101 @@ let audioQueue = [];
 let isPlaying = false;
 let currentSpeakResolve = null; // For interrupting speakAndWait
 let synthesisAborted = false; // Prevent playing audio after stop
+let activeSpeechStream = null; // Sentence-by-sentence speech for streamed text
+
+// Voice per character (prompts.js speakers) and output language
+const CHARACTER_VOICES = {
+    gm: {
+        ja: { name: 'ja-JP-Neural2-D', ssmlGender: 'MALE' }, // Darker, escape-game tone
+        en: { name: 'en-US-Neural2-D', ssmlGender: 'MALE' },
+        speakingRate: 1.5,
+        pitch: -3.0, // Lower pitch for dramatic feel
+    },
+    contact: {
+        ja: { name: 'ja-JP-Neural2-B', ssmlGender: 'FEMALE' },
+        en: { name: 'en-US-Neural2-F', ssmlGender: 'FEMALE' },
+        speakingRate: 1.35,
+        pitch: 1.0,
+    },
+    broker: {
+        ja: { name: 'ja-JP-Neural2-C', ssmlGender: 'MALE' },
+        en: { name: 'en-US-Neural2-J', ssmlGender: 'MALE' },
+        speakingRate: 1.2,
+        pitch: 2.0,
+    },
+    security: {
+        ja: { name: 'ja-JP-Wavenet-C', ssmlGender: 'MALE' },
+        en: { name: 'en-US-Neural2-A', ssmlGender: 'MALE' },
+        speakingRate: 1.1,
+        pitch: -6.0, // Flat, machine-like
+    },
+};
 
 /**
- * Add text to the TTS queue (does NOT interrupt current playback)
+ * TTS voice parameters for a character
+ * @param {string} speakerId - prompts.js speaker id (unknown ids use the game master's voice)
+ * @param {string} language - 'ja' | 'en'
+ * @returns {{ languageCode, name, ssmlGender, speakingRate, pitch }}
  */
-export function speak(text) {
-    if (!ttsEnabled || !TTS_API_KEY || !text) return;
+export function getCharacterVoice(speakerId = 'gm', language = 'ja') {
+    const voice = CHARACTER_VOICES[speakerId] || CHARACTER_VOICES.gm;
+    const lang = voice[language] ? language : 'ja';
+    return {
+        languageCode: lang === 'en' ? 'en-US' : 'ja-JP',
+        ...voice[lang],
+        speakingRate: voice.speakingRate,
+        pitch: voice.pitch,
+    };
+}
+
+const DEFAULT_VOICE = getCharacterVoice('gm', 'ja');
+
+// Sentence boundary: Japanese/English terminators (a period only before whitespace,
+// so "243.4m" stays whole), or a line break
+const SENTENCE_BOUNDARY = /[。！？!?]+|\.(?=\s)|\n/g;
+
+/**
+ * Split off every complete sentence at the start of a buffer
+ * @returns {{ sentences: string[], rest: string }}
+ */
+function takeSentences(buffer) {
+    const sentences = [];
+    let last = 0;
+    let match;
+    SENTENCE_BOUNDARY.lastIndex = 0;
+    while ((match = SENTENCE_BOUNDARY.exec(buffer))) {
+        const end = match.index + match[0].length;
+        sentences.push(buffer.slice(last, end));
+        last = end;
+    }
+    return { sentences, rest: buffer.slice(last) };
+}
 
-    const clean = text
+/**
+ * Strip tags, markdown and HTML so only speakable text remains
+ */
+function cleanForSpeech(text) {
+    return text
         .replace(/\[.*?\]/g, '')
         .replace(/\*\*/g, '')
         .replace(/<[^>]+>/g, '')
         .replace(/[>]/g, '')
         .trim();
+}
+
+/**
+ * Add text to the TTS queue (does NOT interrupt current playback)
+ * @param {string} text
+ * @param {Object} voice - See getCharacterVoice (default: game master)
+ */
+export function speak(text, voice = DEFAULT_VOICE) {
+    if (!ttsEnabled || !TTS_API_KEY || !text) return;
+
+    const clean = cleanForSpeech(text);
     if (!clean || clean.length < 3) return;
 
     synthesisAborted = false; // Allow new speech
-    audioQueue.push(clean);
+    audioQueue.push({ text: clean, voice });
     if (!isPlaying) processQueue();
 }
 
@@ -33,19 +111,14 @@ export function speak(text) {
  * Speak text and return a Promise that resolves when done (for sequencing)
  * Can be interrupted by calling skipAndProceed()
  */
-export function speakAndWait(text) {
+export function speakAndWait(text, voice = DEFAULT_VOICE) {
     return new Promise((resolve) => {
         if (!ttsEnabled || !TTS_API_KEY || !text) {
             resolve();
             return;
         }
 
-        const clean = text
-            .replace(/\[.*?\]/g, '')
-            .replace(/\*\*/g, '')
-            .replace(/<[^>]+>/g, '')
-            .replace(/[>]/g, '')
-            .trim();
+        const clean = cleanForSpeech(text);
         if (!clean || clean.length < 3) {
             resolve();
             return;
@@ -56,7 +129,7 @@ export function speakAndWait(text) {
 
         // Clear queue and stop current -- this is a priority message
         stopSpeaking();
-        synthesizeAndPlay(clean).then(() => {
+        synthesizeAndPlay(clean, voice).then(() => {
             currentSpeakResolve = null;
             resolve();
         }).catch(() => {
@@ -66,6 +139,73 @@ export function speakAndWait(text) {
     });
 }
 
+/**
+ * Speak text that is still being generated, one sentence at a time.
+ * Like speakAndWait this is a priority message: it stops current playback.
+ *
+ * @example
+ * const speech = createSpeechStream(getCharacterVoice('contact', 'en'));
+ * await engine.generateNarration(a, b, {}, { onToken: chunk => speech.push(chunk) });
+ * await speech.finish(); // resolves when spoken, skipped or stopped
+ *
+ * @param {Object} voice - See getCharacterVoice (default: game master)
+ * @returns {{ push: (chunk: string) => void, finish: () => Promise<void> }}
+ */
+export function createSpeechStream(voice = DEFAULT_VOICE) {
+    stopSpeaking();
+
+    let buffer = '';
+    let finished = false;
+    let playing = false;
+    let cancelled = false;
+    const sentences = [];
+    let resolveDone;
+    const done = new Promise(resolve => { resolveDone = resolve; });
+
+    const stream = {
+        cancel() {
+            cancelled = true;
+            if (activeSpeechStream === stream) activeSpeechStream = null;
+            resolveDone();
+        },
+        push(chunk) {
+            if (cancelled || finished || !chunk) return;
+            const { sentences: complete, rest } = takeSentences(buffer + chunk);
+            sentences.push(...complete);
+            buffer = rest;
+            pump();
+        },
+        finish() {
+            if (!finished) {
+                finished = true;
+                if (buffer.trim()) sentences.push(buffer);
+                buffer = '';
+                pump();
+            }
+            return done;
+        },
+    };
+
+    async function pump() {
+        if (playing) return;
+        playing = true;
+        while (sentences.length > 0 && !cancelled) {
+            const clean = cleanForSpeech(sentences.shift());
+            if (!ttsEnabled || !TTS_API_KEY || !clean || clean.length < 2) continue;
+            try {
+                await synthesizeAndPlay(clean, voice);
+            } catch (err) {
+                console.warn('TTS playback error:', err);
+            }
+        }
+        playing = false;
+        if (finished && sentences.length === 0 && !cancelled) stream.cancel();
+    }
+
+    activeSpeechStream = stream;
+    return { push: stream.push, finish: stream.finish };
+}
+
 /**
  * Skip current speech and proceed to next step immediately
  */
@@ -86,9 +226,9 @@ async function processQueue() {
 
     isPlaying = true;
     while (audioQueue.length > 0) {
-        const text = audioQueue.shift();
+        const { text, voice } = audioQueue.shift();
         try {
-            await synthesizeAndPlay(text);
+            await synthesizeAndPlay(text, voice);
         } catch (err) {
             console.warn('TTS playback error:', err);
         }
@@ -99,7 +239,7 @@ async function processQueue() {
 /**
  * Synthesize and play a single text
  */
-async function synthesizeAndPlay(text) {
+async function synthesizeAndPlay(text, voice = DEFAULT_VOICE) {
     const indicator = document.getElementById('audio-indicator');
     synthesisAborted = false;
 
@@ -110,14 +250,14 @@ async function synthesizeAndPlay(text) {
             body: JSON.stringify({
                 input: { text },
                 voice: {
-                    languageCode: 'ja-JP',
-                    name: 'ja-JP-Neural2-D', // Male neural voice -- darker, escape-game tone
-                    ssmlGender: 'MALE',
+                    languageCode: voice.languageCode,
+                    name: voice.name,
+                    ssmlGender: voice.ssmlGender,
                 },
                 audioConfig: {
                     audioEncoding: 'MP3',
-                    speakingRate: 1.5,
-                    pitch: -3.0,  // Lower pitch for dramatic feel
+                    speakingRate: voice.speakingRate,
+                    pitch: voice.pitch,
                     volumeGainDb: 3.0,
                 },
             }),
@@ -179,6 +319,7 @@ async function synthesizeAndPlay(text) {
  */
 export function stopSpeaking() {
     synthesisAborted = true; // Prevent pending fetches from playing
+    if (activeSpeechStream) activeSpeechStream.cancel();
     audioQueue = [];
     isPlaying = false;
     if (currentAudio) {
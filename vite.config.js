@@ -1,20 +1,53 @@
+import fs from 'node:fs';
+import path from 'node:path';
 import { defineConfig } from 'vite';
 import cesium from 'vite-plugin-cesium';
+import { LOCAL_TILES_ROUTE } from './src/tilesetRegistry.js';
+
+// Tile mirror written by scripts/cache-tiles.mjs (?tiles=local)
+const TILES_DIR = path.resolve(process.env.TILES_DIR || 'tiles-cache');
+
+const proxy = {
+  '/plateau-proxy': {
+    target: 'https://plateau.geospatial.jp',
+    changeOrigin: true,
+    rewrite: (path) => path.replace(/^\/plateau-proxy/, ''),
+    headers: {
+      'Origin': 'https://plateau.geospatial.jp',
+    },
+  },
+};
+
+function serveLocalTiles(req, res) {
+  const file = path.join(TILES_DIR, decodeURIComponent(req.url.split('?')[0]));
+  if (!file.startsWith(TILES_DIR + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    res.statusCode = 404;
+    res.end();
+    return;
+  }
+  res.setHeader('Content-Type', file.endsWith('.json') ? 'application/json' : 'application/octet-stream');
+  fs.createReadStream(file).pipe(res);
+}
+
+// Serves TILES_DIR at /local-tiles in `vite` and `vite preview`
+const localTiles = {
+  name: 'local-tiles',
+  configureServer(server) {
+    server.middlewares.use(LOCAL_TILES_ROUTE, serveLocalTiles);
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use(LOCAL_TILES_ROUTE, serveLocalTiles);
+  },
+};
 
 export default defineConfig({
-  plugins: [cesium()],
+  plugins: [cesium(), localTiles],
   server: {
     port: 5173,
     open: true,
-    proxy: {
-      '/plateau-proxy': {
-        target: 'https://plateau.geospatial.jp',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/plateau-proxy/, ''),
-        headers: {
-          'Origin': 'https://plateau.geospatial.jp',
-        },
-      },
-    },
+    proxy,
+  },
+  preview: {
+    proxy,
   },
 });